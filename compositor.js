@@ -0,0 +1,178 @@
+/*
+ * compositor.js – CRALK PWA
+ *
+ * Canvas compositing stage placed between the camera and MediaRecorder.
+ * Every animation frame the source (the camera preview video, or any
+ * canvas) is drawn to fill the output canvas, then each layer paints on top
+ * of it. The canvas is captured with `captureStream()` and recorded in
+ * place of the raw camera track, so layers are burned into the video.
+ *
+ * The painters for the built-in overlays (title card, watermark, progress
+ * bar) are exposed so main.js can assemble the layers the user enabled.
+ */
+
+const CralkCompositor = (function () {
+  const ACCENT_COLOR = '#ff66b3';
+
+  /**
+   * Draw `source` so it covers the whole area, cropping what overflows
+   * (like CSS `object-fit: cover`).
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {CanvasImageSource} source
+   * @param {number} x
+   * @param {number} y
+   * @param {number} width
+   * @param {number} height
+   */
+  function drawCover(ctx, source, x, y, width, height) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return;
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+    ctx.drawImage(
+      source,
+      (sourceWidth - cropWidth) / 2,
+      (sourceHeight - cropHeight) / 2,
+      cropWidth,
+      cropHeight,
+      x,
+      y,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Create a compositor. Call `start()` to get the stream to record and
+   * `stop()` when the take is over. `layers` can be changed at any time.
+   * @param {{source: CanvasImageSource, width: number, height: number, fps?: number}} options
+   * @returns {{canvas: HTMLCanvasElement, source: CanvasImageSource,
+   *   layers: Array<(ctx: CanvasRenderingContext2D, width: number, height: number) => void>,
+   *   start: () => MediaStream, stop: () => void}}
+   */
+  function create({ source, width, height, fps = 30 }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    let frame = null;
+    let stream = null;
+
+    const compositor = {
+      canvas,
+      source,
+      layers: [],
+      start() {
+        render();
+        stream = canvas.captureStream(fps);
+        frame = requestAnimationFrame(loop);
+        return stream;
+      },
+      stop() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+        stream = null;
+      },
+    };
+
+    function render() {
+      ctx.fillStyle = '#000000';
+      ctx.fillRect(0, 0, width, height);
+      drawCover(ctx, compositor.source, 0, 0, width, height);
+      compositor.layers.forEach((layer) => {
+        ctx.save();
+        layer(ctx, width, height);
+        ctx.restore();
+      });
+    }
+
+    function loop() {
+      render();
+      frame = requestAnimationFrame(loop);
+    }
+
+    return compositor;
+  }
+
+  /**
+   * Lower-third card with the cover, title and artist of the song.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {{title: string, artist?: string, cover?: HTMLImageElement, opacity?: number}} info
+   */
+  function drawTitleCard(ctx, width, height, { title, artist, cover, opacity = 1 }) {
+    const unit = Math.min(width, height) / 20;
+    const padding = unit * 0.6;
+    const coverSize = cover ? unit * 2.6 : 0;
+    const x = unit;
+    const cardHeight = Math.max(coverSize, unit * 1.9 + (artist ? unit * 1.1 : 0)) + padding * 2;
+    const y = height - cardHeight - unit * 2.5;
+    ctx.globalAlpha = opacity;
+    ctx.font = `bold ${Math.round(unit * 1.1)}px sans-serif`;
+    const titleWidth = ctx.measureText(title).width;
+    ctx.font = `${Math.round(unit * 0.85)}px sans-serif`;
+    const artistWidth = artist ? ctx.measureText(artist).width : 0;
+    const textX = x + padding + (coverSize ? coverSize + padding : 0);
+    const cardWidth = Math.min(width - unit * 2, textX - x + Math.max(titleWidth, artistWidth) + padding);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(x, y, cardWidth, cardHeight);
+    ctx.fillStyle = ACCENT_COLOR;
+    ctx.fillRect(x, y, unit * 0.15, cardHeight);
+    if (cover) drawCover(ctx, cover, x + padding, y + (cardHeight - coverSize) / 2, coverSize, coverSize);
+    const maxTextWidth = x + cardWidth - padding - textX;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.round(unit * 1.1)}px sans-serif`;
+    const textTop = y + (cardHeight - (unit * 1.3 + (artist ? unit * 1.1 : 0))) / 2;
+    ctx.fillText(title, textX, textTop, maxTextWidth);
+    if (artist) {
+      ctx.font = `${Math.round(unit * 0.85)}px sans-serif`;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.fillText(artist, textX, textTop + unit * 1.4, maxTextWidth);
+    }
+  }
+
+  /**
+   * "CRALK" watermark in the top right corner.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   */
+  function drawWatermark(ctx, width, height) {
+    const unit = Math.min(width, height) / 20;
+    ctx.font = `bold ${Math.round(unit * 1.2)}px sans-serif`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = unit * 0.3;
+    ctx.fillText('CRALK', width - unit, unit);
+  }
+
+  /**
+   * Thin progress bar along the bottom edge.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
+   * @param {number} fraction 0–1
+   */
+  function drawProgressBar(ctx, width, height, fraction) {
+    const barHeight = Math.max(4, Math.round(Math.min(width, height) / 120));
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.fillRect(0, height - barHeight, width, barHeight);
+    ctx.fillStyle = ACCENT_COLOR;
+    ctx.fillRect(0, height - barHeight, width * Math.min(1, Math.max(0, fraction)), barHeight);
+  }
+
+  return {
+    create,
+    drawCover,
+    drawTitleCard,
+    drawWatermark,
+    drawProgressBar,
+  };
+})();
@@ -0,0 +1,323 @@
+/*
+ * effects.js – CRALK PWA
+ *
+ * Real-time camera effects rendered with WebGL. Every animation frame the
+ * camera preview video is uploaded as a texture and drawn into a canvas
+ * through a single fragment shader that applies, in order: skin smoothing,
+ * a colour grade (a 16×16×16 lookup table), vignette and grain, optionally
+ * mirrored. The canvas is shown as the preview and is the source of the
+ * recording compositor (see compositor.js), so what is seen is what is
+ * recorded, and changing effects only changes the shader's inputs.
+ */
+
+const CralkEffects = (function () {
+  const LUT_SIZE = 16;
+
+  /**
+   * Rec. 709 luma of a colour.
+   * @param {number[]} c RGB, 0–1
+   * @returns {number}
+   */
+  function luma([r, g, b]) {
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  // Colour grades. `grade` maps an RGB colour (0–1) to the graded colour and
+  // is baked into a lookup table when the look is selected.
+  const LOOKS = [
+    { id: 'none', label: 'Naturel' },
+    {
+      id: 'warm',
+      label: 'Chaud',
+      grade: ([r, g, b]) => [r * 1.08 + 0.02, g * 1.01, b * 0.86],
+    },
+    {
+      id: 'cool',
+      label: 'Froid',
+      grade: ([r, g, b]) => [r * 0.9, g * 0.99, b * 1.08 + 0.03],
+    },
+    {
+      id: 'cinema',
+      label: 'Ciné',
+      // Teal shadows, orange highlights and a little more contrast
+      grade: (c) => {
+        const l = luma(c);
+        return c.map((v, i) => {
+          const contrasted = 0.5 + (v - 0.5) * 1.15;
+          return contrasted + (l - 0.5) * [0.14, 0.02, -0.16][i];
+        });
+      },
+    },
+    {
+      id: 'vintage',
+      label: 'Vintage',
+      // Washed out, warm, with lifted blacks
+      grade: (c) => {
+        const l = luma(c);
+        const sepia = [l * 1.07, l * 0.9, l * 0.7];
+        return c.map((v, i) => 0.08 + (v * 0.6 + sepia[i] * 0.4) * 0.84);
+      },
+    },
+    {
+      id: 'mono',
+      label: 'Noir et blanc',
+      grade: (c) => {
+        const l = Math.min(1, Math.max(0, 0.5 + (luma(c) - 0.5) * 1.2));
+        return [l, l, l];
+      },
+    },
+  ];
+
+  const VERTEX_SHADER = `
+    attribute vec2 a_position;
+    varying vec2 v_uv;
+    void main() {
+      // Row 0 of the video texture is the top of the image
+      v_uv = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5);
+      gl_Position = vec4(a_position, 0.0, 1.0);
+    }
+  `;
+
+  const FRAGMENT_SHADER = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    varying vec2 v_uv;
+    uniform sampler2D u_frame;
+    uniform sampler2D u_lut;
+    uniform vec2 u_texel;
+    uniform float u_mirror;
+    uniform float u_useLut;
+    uniform float u_smooth;
+    uniform float u_vignette;
+    uniform float u_grain;
+    uniform float u_seed;
+
+    // The LUT is laid out as 16 tiles of 16×16 side by side: red along x
+    // within a tile, green along y, one tile per blue level.
+    vec3 applyLut(vec3 c) {
+      float b = c.b * 15.0;
+      float b0 = floor(b);
+      float b1 = min(b0 + 1.0, 15.0);
+      float x = (c.r * 15.0 + 0.5) / 256.0;
+      float y = (c.g * 15.0 + 0.5) / 16.0;
+      vec3 c0 = texture2D(u_lut, vec2(x + b0 / 16.0, y)).rgb;
+      vec3 c1 = texture2D(u_lut, vec2(x + b1 / 16.0, y)).rgb;
+      return mix(c0, c1, b - b0);
+    }
+
+    // Rough skin detection on the chroma (YCbCr) of the colour
+    float skinMask(vec3 c) {
+      float cb = -0.1687 * c.r - 0.3313 * c.g + 0.5 * c.b + 0.5;
+      float cr = 0.5 * c.r - 0.4187 * c.g - 0.0813 * c.b + 0.5;
+      return smoothstep(0.28, 0.32, cb) * (1.0 - smoothstep(0.5, 0.54, cb))
+        * smoothstep(0.5, 0.54, cr) * (1.0 - smoothstep(0.68, 0.72, cr));
+    }
+
+    // Edge-preserving blur: neighbours that differ a lot from the pixel
+    // (edges, eyes, hair) weigh little, so only even areas are smoothed
+    vec3 smoothSkin(vec2 uv, vec3 c) {
+      vec3 sum = c;
+      float total = 1.0;
+      for (int x = -2; x <= 2; x++) {
+        for (int y = -2; y <= 2; y++) {
+          vec3 s = texture2D(u_frame, uv + vec2(float(x), float(y)) * u_texel * 2.0).rgb;
+          vec3 d = s - c;
+          float w = exp(-dot(d, d) * 40.0);
+          sum += s * w;
+          total += w;
+        }
+      }
+      return mix(c, sum / total, skinMask(c) * u_smooth);
+    }
+
+    float random(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233)) + u_seed) * 43758.5453);
+    }
+
+    void main() {
+      vec2 uv = vec2(mix(v_uv.x, 1.0 - v_uv.x, u_mirror), v_uv.y);
+      vec3 c = texture2D(u_frame, uv).rgb;
+      if (u_smooth > 0.0) c = smoothSkin(uv, c);
+      if (u_useLut > 0.0) c = applyLut(clamp(c, 0.0, 1.0));
+      c *= 1.0 - u_vignette * 0.7 * smoothstep(0.35, 0.75, distance(v_uv, vec2(0.5)));
+      c += (random(gl_FragCoord.xy) - 0.5) * 0.12 * u_grain;
+      gl_FragColor = vec4(clamp(c, 0.0, 1.0), 1.0);
+    }
+  `;
+
+  /**
+   * Bake a colour grade into LUT texture data (256×16 RGBA).
+   * @param {(c: number[]) => number[]} grade
+   * @returns {Uint8Array}
+   */
+  function buildLut(grade) {
+    const data = new Uint8Array(LUT_SIZE * LUT_SIZE * LUT_SIZE * 4);
+    const max = LUT_SIZE - 1;
+    for (let b = 0; b < LUT_SIZE; b++) {
+      for (let g = 0; g < LUT_SIZE; g++) {
+        for (let r = 0; r < LUT_SIZE; r++) {
+          const out = grade([r / max, g / max, b / max]);
+          const offset = (g * LUT_SIZE * LUT_SIZE + b * LUT_SIZE + r) * 4;
+          for (let i = 0; i < 3; i++) {
+            data[offset + i] = Math.round(Math.min(1, Math.max(0, out[i])) * 255);
+          }
+          data[offset + 3] = 255;
+        }
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Compile and link the effects program.
+   * @param {WebGLRenderingContext} gl
+   * @returns {WebGLProgram}
+   */
+  function buildProgram(gl) {
+    const program = gl.createProgram();
+    [
+      [gl.VERTEX_SHADER, VERTEX_SHADER],
+      [gl.FRAGMENT_SHADER, FRAGMENT_SHADER],
+    ].forEach(([type, source]) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      gl.attachShader(program, shader);
+    });
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program));
+    }
+    return program;
+  }
+
+  /**
+   * Create a texture with the settings allowed for non power of two sizes.
+   * @param {WebGLRenderingContext} gl
+   * @returns {WebGLTexture}
+   */
+  function createTexture(gl) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    return texture;
+  }
+
+  /**
+   * Create the effects renderer drawing `video` into `canvas`. Returns null
+   * when WebGL is not available, in which case the camera is used as is.
+   * @param {HTMLVideoElement} video camera preview
+   * @param {HTMLCanvasElement} canvas
+   * @returns {{canvas: HTMLCanvasElement, options: Object, set: (options: Object) => void,
+   *   render: () => boolean, start: () => void, stop: () => void}|null}
+   */
+  function create(video, canvas) {
+    // The drawing buffer is kept so the compositor can copy it at any time
+    const gl = canvas.getContext('webgl', { preserveDrawingBuffer: true, alpha: false });
+    if (!gl) return null;
+    let program;
+    try {
+      program = buildProgram(gl);
+    } catch (err) {
+      console.warn('Effets vidéo indisponibles :', err);
+      return null;
+    }
+    gl.useProgram(program);
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    const position = gl.getAttribLocation(program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    const uniforms = {};
+    ['u_frame', 'u_lut', 'u_texel', 'u_mirror', 'u_useLut', 'u_smooth', 'u_vignette', 'u_grain', 'u_seed'].forEach(
+      (name) => {
+        uniforms[name] = gl.getUniformLocation(program, name);
+      }
+    );
+    gl.activeTexture(gl.TEXTURE0);
+    const frameTexture = createTexture(gl);
+    gl.activeTexture(gl.TEXTURE1);
+    const lutTexture = createTexture(gl);
+    gl.uniform1i(uniforms.u_frame, 0);
+    gl.uniform1i(uniforms.u_lut, 1);
+    let look = null;
+    let frame = null;
+
+    const effects = {
+      canvas,
+      options: { look: 'none', smooth: false, vignette: false, grain: false, mirror: false },
+      /**
+       * Change some of the options; applies from the next frame.
+       * @param {{look?: string, smooth?: boolean, vignette?: boolean, grain?: boolean, mirror?: boolean}} options
+       */
+      set(options) {
+        Object.assign(effects.options, options);
+        const selected = LOOKS.find((item) => item.id === effects.options.look) || LOOKS[0];
+        if (selected !== look) {
+          look = selected;
+          if (look.grade) {
+            if (!look.lut) look.lut = buildLut(look.grade);
+            gl.activeTexture(gl.TEXTURE1);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, LUT_SIZE * LUT_SIZE, LUT_SIZE, 0, gl.RGBA, gl.UNSIGNED_BYTE, look.lut);
+          }
+        }
+      },
+      /**
+       * Draw the current video frame. Returns false while the video has no
+       * frame to show.
+       * @returns {boolean}
+       */
+      render() {
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+        if (video.readyState < 2 || !width || !height) return false;
+        if (canvas.width !== width || canvas.height !== height) {
+          canvas.width = width;
+          canvas.height = height;
+        }
+        gl.viewport(0, 0, width, height);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+        const { smooth, vignette, grain, mirror } = effects.options;
+        gl.uniform2f(uniforms.u_texel, 1 / width, 1 / height);
+        gl.uniform1f(uniforms.u_mirror, mirror ? 1 : 0);
+        gl.uniform1f(uniforms.u_useLut, look && look.grade ? 1 : 0);
+        gl.uniform1f(uniforms.u_smooth, smooth ? 1 : 0);
+        gl.uniform1f(uniforms.u_vignette, vignette ? 1 : 0);
+        gl.uniform1f(uniforms.u_grain, grain ? 1 : 0);
+        gl.uniform1f(uniforms.u_seed, Math.random() * 100);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        return true;
+      },
+      start() {
+        if (frame) return;
+        const loop = () => {
+          effects.render();
+          frame = requestAnimationFrame(loop);
+        };
+        frame = requestAnimationFrame(loop);
+      },
+      stop() {
+        if (frame) cancelAnimationFrame(frame);
+        frame = null;
+      },
+    };
+    effects.set({});
+    return effects;
+  }
+
+  return {
+    LOOKS: LOOKS.map(({ id, label }) => ({ id, label })),
+    create,
+  };
+})();
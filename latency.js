@@ -0,0 +1,153 @@
+/*
+ * latency.js – CRALK PWA
+ *
+ * Round-trip audio latency measurement. A short click track is played
+ * through the speaker while the microphone listens. The clicks are also fed
+ * digitally into one channel of a ChannelMerger whose other channel is the
+ * microphone, so both signals reach the same processing callback with the
+ * same internal delay: the gap between a click on the reference channel and
+ * its echo on the mic channel is the output + input latency of the device
+ * (largest over Bluetooth). main.js stores the result per audio output and
+ * delays the song by that amount while recording.
+ */
+
+const CralkLatency = (function () {
+  const CLICK_COUNT = 8;
+  const CLICK_INTERVAL = 0.5;         // seconds between clicks
+  const LEAD_IN = 0.5;                // silence before the first click
+  const MAX_LATENCY = 0.8;            // search window after each click
+  const BUFFER_SIZE = 4096;
+  const REFERENCE_LEVEL = 0.5;        // onset threshold on the reference
+
+  /**
+   * A 4 ms, 2 kHz burst with a fast decay: short enough to locate
+   * precisely, loud enough to stand out from room noise.
+   * @param {BaseAudioContext} ctx
+   * @returns {AudioBuffer}
+   */
+  function createClick(ctx) {
+    const length = Math.round(ctx.sampleRate * 0.004);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.sin((2 * Math.PI * 2000 * i) / ctx.sampleRate) * (1 - i / length);
+    }
+    // Start on a full-scale sample so the reference onset is exact
+    data[0] = 1;
+    return buffer;
+  }
+
+  /**
+   * Join captured blocks into one array.
+   * @param {Float32Array[]} blocks
+   * @returns {Float32Array}
+   */
+  function concat(blocks) {
+    const result = new Float32Array(blocks.reduce((sum, block) => sum + block.length, 0));
+    let offset = 0;
+    blocks.forEach((block) => {
+      result.set(block, offset);
+      offset += block.length;
+    });
+    return result;
+  }
+
+  /**
+   * Find each click on the reference channel and its echo on the mic
+   * channel. Returns the median delay in milliseconds, or null when fewer
+   * than half of the clicks were heard.
+   * @param {Float32Array} reference
+   * @param {Float32Array} mic
+   * @param {number} sampleRate
+   * @returns {number|null}
+   */
+  function detectLatency(reference, mic, sampleRate) {
+    const onsets = [];
+    const minGap = Math.round((sampleRate * CLICK_INTERVAL) / 2);
+    for (let i = 0; i < reference.length; i++) {
+      if (reference[i] >= REFERENCE_LEVEL && (!onsets.length || i - onsets[onsets.length - 1] > minGap)) {
+        onsets.push(i);
+      }
+    }
+    const searchWindow = Math.round(MAX_LATENCY * sampleRate);
+    const noiseWindow = Math.round(0.1 * sampleRate);
+    const latencies = [];
+    onsets.forEach((onset) => {
+      // Noise floor just before the click, loudest echo after it
+      let noise = 0;
+      for (let j = Math.max(0, onset - noiseWindow); j < onset; j++) {
+        noise = Math.max(noise, Math.abs(mic[j]));
+      }
+      const end = Math.min(mic.length, onset + searchWindow);
+      let peak = 0;
+      for (let j = onset; j < end; j++) {
+        peak = Math.max(peak, Math.abs(mic[j]));
+      }
+      if (peak < 0.01 || peak < noise * 3) return;
+      const threshold = noise + (peak - noise) * 0.3;
+      for (let j = onset; j < end; j++) {
+        if (Math.abs(mic[j]) >= threshold) {
+          latencies.push(((j - onset) / sampleRate) * 1000);
+          break;
+        }
+      }
+    });
+    if (!onsets.length || latencies.length < onsets.length / 2) return null;
+    latencies.sort((a, b) => a - b);
+    return latencies[Math.floor(latencies.length / 2)];
+  }
+
+  /**
+   * Play the click track and measure the round-trip latency.
+   * @param {MediaStream} micStream stream holding the microphone track
+   * @returns {Promise<number|null>} latency in milliseconds
+   */
+  async function measure(micStream) {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new Ctx();
+    try {
+      await ctx.resume();
+      const mic = ctx.createMediaStreamSource(micStream);
+      const merger = ctx.createChannelMerger(2);
+      // ScriptProcessorNode is deprecated but, unlike AudioWorklet, works
+      // on every Safari version the app supports
+      const processor = ctx.createScriptProcessor(BUFFER_SIZE, 2, 1);
+      const mute = ctx.createGain();
+      mute.gain.value = 0;
+      mic.connect(merger, 0, 1);
+      merger.connect(processor);
+      processor.connect(mute);
+      mute.connect(ctx.destination);
+
+      const reference = [];
+      const recorded = [];
+      processor.onaudioprocess = (e) => {
+        reference.push(new Float32Array(e.inputBuffer.getChannelData(0)));
+        recorded.push(new Float32Array(e.inputBuffer.getChannelData(1)));
+      };
+
+      const click = createClick(ctx);
+      const start = ctx.currentTime + LEAD_IN;
+      for (let i = 0; i < CLICK_COUNT; i++) {
+        const source = ctx.createBufferSource();
+        source.buffer = click;
+        source.connect(ctx.destination);
+        source.connect(merger, 0, 0);
+        source.start(start + i * CLICK_INTERVAL);
+      }
+
+      const total = LEAD_IN + CLICK_COUNT * CLICK_INTERVAL + MAX_LATENCY + 0.3;
+      await new Promise((resolve) => setTimeout(resolve, total * 1000));
+      processor.onaudioprocess = null;
+      mic.disconnect();
+      processor.disconnect();
+      return detectLatency(concat(reference), concat(recorded), ctx.sampleRate);
+    } finally {
+      ctx.close().catch(() => {});
+    }
+  }
+
+  return {
+    measure,
+  };
+})();
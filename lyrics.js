@@ -0,0 +1,98 @@
+/*
+ * lyrics.js – CRALK PWA
+ *
+ * Parsing and writing of song lyrics. LRC files carry one or more
+ * `[mm:ss.xx]` time tags per line (plus optional `[ar:…]`-style metadata and
+ * an `[offset:±ms]` tag); plain text files are kept as untimed lines and can
+ * be timed in the app with the tap-along mode, which writes LRC back.
+ */
+
+const CralkLyrics = (function () {
+  const TIME_TAG = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+  const METADATA_TAG = /^\s*\[([a-z#]+):([^\]]*)\]\s*$/i;
+  // Word-level timings of "enhanced" LRC, which we do not use
+  const WORD_TAG = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+  /**
+   * Parse lyrics text. Timed lines are sorted by time; untimed lines keep
+   * their order and come last with `time: null`.
+   * @param {string} text LRC or plain text
+   * @returns {{lines: {time: (number|null), text: string}[], timed: boolean}}
+   */
+  function parse(text) {
+    let offset = 0;
+    const timedLines = [];
+    const plainLines = [];
+    (text || '')
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .split('\n')
+      .forEach((raw) => {
+        const times = [];
+        TIME_TAG.lastIndex = 0;
+        let match;
+        while ((match = TIME_TAG.exec(raw))) {
+          times.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+        }
+        if (!times.length) {
+          const meta = raw.match(METADATA_TAG);
+          if (meta) {
+            if (meta[1].toLowerCase() === 'offset') offset = parseInt(meta[2], 10) / 1000 || 0;
+            return;
+          }
+        }
+        const content = raw.replace(TIME_TAG, '').replace(WORD_TAG, '').trim();
+        if (times.length) {
+          times.forEach((time) => timedLines.push({ time, text: content }));
+        } else if (content) {
+          plainLines.push({ time: null, text: content });
+        }
+      });
+    // A positive LRC offset shows the lyrics earlier
+    timedLines.forEach((line) => {
+      line.time = Math.max(0, line.time - offset);
+    });
+    timedLines.sort((a, b) => a.time - b.time);
+    return { lines: timedLines.concat(plainLines), timed: timedLines.length > 0 };
+  }
+
+  /**
+   * Index of the line being sung at `time`: the last timed line starting
+   * at or before it, or -1 before the first line.
+   * @param {{time: (number|null)}[]} lines
+   * @param {number} time seconds
+   * @returns {number}
+   */
+  function lineIndexAt(lines, time) {
+    let index = -1;
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].time === null || lines[i].time > time) break;
+      index = i;
+    }
+    return index;
+  }
+
+  /**
+   * Write lines as LRC. Untimed lines are written as plain text.
+   * @param {{time: (number|null), text: string}[]} lines
+   * @returns {string}
+   */
+  function toLrc(lines) {
+    return lines
+      .map((line) => {
+        if (line.time === null) return line.text;
+        // Round first so 59.999 s gives [01:00.00], not [00:60.00]
+        const centiseconds = Math.round(line.time * 100);
+        const minutes = Math.floor(centiseconds / 6000);
+        const seconds = ((centiseconds % 6000) / 100).toFixed(2).padStart(5, '0');
+        return `[${String(minutes).padStart(2, '0')}:${seconds}]${line.text}`;
+      })
+      .join('\n');
+  }
+
+  return {
+    parse,
+    lineIndexAt,
+    toLrc,
+  };
+})();
@@ -3,38 +3,183 @@
  *
  * This script implements a camera‑first recording interface that allows users
  * to capture video from the device camera while recording either the
- * microphone or a selected music track. The recording follows a fixed
- * protocol: the first few seconds capture ambient sound from the mic,
- * followed by a countdown and then the selected song replaces the mic in
- * the recorded audio. During recording, a toggle button lets the user
- * switch which source (mic or song) is written to the video without
- * interrupting playback. Up to ten recordings are retained in a gallery
- * accessible via a horizontal swipe. A timer shows the total length of
- * the selected song and counts down the remaining time during playback.
+ * microphone or a selected music track. The recording follows a protocol
+ * set in the settings (and saved as presets): an optional hands-free start
+ * on a voice or a clap, a countdown with optional beeps, an optional
+ * mic-only pre-roll, then the selected song replaces the mic in the
+ * recorded audio, with an optional maximum take length. A take can be
+ * paused and resumed after a short countdown; the song picks up where it
+ * stopped and paused time is left out of the take. Takes are written to
+ * IndexedDB in one-second chunks while recording and finished early when the
+ * app is interrupted; a take cut short by a crash is offered for recovery on
+ * the next launch. During recording, a toggle button lets the user switch
+ * which source (mic or song) is written to the video without interrupting
+ * playback. When WebGL is available the camera goes through an effects
+ * pipeline (colour looks, vignette, grain, skin smoothing, mirroring, see
+ * effects.js) whose canvas is both the preview and what is recorded. The
+ * capture resolution, frame rate, lens, zoom (pinch on the preview) and torch
+ * can be set, and the take cropped to a portrait, square or landscape frame.
+ * A dual mode shows the front and rear cameras together, split or one inset
+ * in the other; devices that cannot film with both take a video for the
+ * second pane. The mic input, its browser processing (echo cancellation, noise
+ * suppression, automatic gain) and a vocal chain (high-pass, compressor,
+ * reverb, see vocals.js) are set in the settings.
+ * Optional overlays (title card, watermark, song progress) are burned into
+ * the video through a canvas compositor (see compositor.js). The song is
+ * delayed by the latency measured for the current audio output so the voice
+ * stays in sync. Each switch is logged with its time in the take and the raw
+ * mic track is kept, so the switches can be edited and the audio re-rendered
+ * afterwards. Takes can also be trimmed, split or joined into new takes,
+ * re-encoded on the device (see render.js). In overdub mode a previous take
+ * replaces the song: its sound is mixed with the mic and its video is shown
+ * inset or side by side in the new one, and the level of each layer can be
+ * changed afterwards. Recordings are kept in a gallery accessible via a
+ * horizontal swipe, shown as thumbnails that can be filtered, sorted, renamed
+ * and selected to delete, download or share several at once. A take opens
+ * in a viewer (swipe, buttons or arrow keys to browse, swipe down or Escape
+ * to close, details, playback speed and frame stepping) linked from the URL,
+ * so the back button closes it. Recordings are saved in IndexedDB (see
+ * storage.js) so they survive app restarts;
+ * a configurable retention policy limits how many are kept. Songs are
+ * imported into a local library (also in IndexedDB), with the title, artist
+ * and cover read from their tags (see tags.js), from which they can be picked
+ * again or queued to record several songs back to back. Lyrics (LRC or plain
+ * text, see lyrics.js) can be attached to a song and scroll over the preview
+ * in time with the song. A timer shows the total length of the selected song
+ * and counts down the remaining time during playback.
  */
 
 (function () {
   // ----- Element references -----
   const fileInput = document.getElementById('file-input');
+  const chooseSongBtn = document.getElementById('choose-song-btn');
   const fileInfo = document.getElementById('file-info');
+  const songCover = document.getElementById('song-cover');
   const songTimer = document.getElementById('song-timer');
   const countdownOverlay = document.getElementById('countdown-overlay');
   const audioPlayer = document.getElementById('audio-player');
   const cameraPreview = document.getElementById('camera-preview');
+  const effectsPreview = document.getElementById('effects-preview');
   const switchCameraBtn = document.getElementById('switch-camera');
   const recordButton = document.getElementById('record-button');
   const toggleSourceBtn = document.getElementById('toggle-source');
+  const pauseButton = document.getElementById('pause-button');
   const recordingsContainer = document.getElementById('gallery-recordings');
   const appContainer = document.getElementById('app-container');
 
+  // Song range editor (waveform with in/out handles)
+  const rangeBtn = document.getElementById('range-btn');
+  const rangeEditor = document.getElementById('range-editor');
+  const waveformContainer = document.getElementById('waveform-container');
+  const waveformCanvas = document.getElementById('waveform-canvas');
+  const rangeStartHandle = document.getElementById('range-start-handle');
+  const rangeEndHandle = document.getElementById('range-end-handle');
+  const rangeStartLabel = document.getElementById('range-start-label');
+  const rangeEndLabel = document.getElementById('range-end-label');
+  const rangePreviewBtn = document.getElementById('range-preview');
+  const rangeResetBtn = document.getElementById('range-reset');
+  const rangeDoneBtn = document.getElementById('range-done');
+
+  // Mix faders shown during recording
+  const mixFaders = document.getElementById('mix-faders');
+  const micFader = document.getElementById('mic-fader');
+  const songFader = document.getElementById('song-fader');
+
+  // Level meters and audio warning shown during recording
+  const levelMeters = document.getElementById('level-meters');
+  const audioWarning = document.getElementById('audio-warning');
+
+  // Camera controls: torch, zoom readout and the frame of the recorded area
+  const torchBtn = document.getElementById('torch-btn');
+  const zoomIndicator = document.getElementById('zoom-indicator');
+  const frameGuide = document.getElementById('frame-guide');
+
+  // Camera effects picker
+  const effectsBtn = document.getElementById('effects-btn');
+  const effectsBar = document.getElementById('effects-bar');
+  const effectsLooks = document.getElementById('effects-looks');
+
+  // Dual camera: composed preview, its controls and the video fallback
+  const dualBtn = document.getElementById('dual-btn');
+  const dualPreview = document.getElementById('dual-preview');
+  const dualFileInput = document.getElementById('dual-file-input');
+  const dualBar = document.getElementById('dual-bar');
+  const dualInfo = document.getElementById('dual-info');
+  const dualLayoutBtn = document.getElementById('dual-layout');
+  const dualSwapBtn = document.getElementById('dual-swap');
+  const dualImportBtn = document.getElementById('dual-import');
+  const dualStopBtn = document.getElementById('dual-stop');
+
+  // Karaoke lyrics over the preview, tap-along bar and lyrics panel
+  const lyricsBtn = document.getElementById('lyrics-btn');
+  const lyricsOverlay = document.getElementById('lyrics-overlay');
+  const lyricsCurrent = document.getElementById('lyrics-current');
+  const lyricsNext = document.getElementById('lyrics-next');
+  const lyricsTapBar = document.getElementById('lyrics-tap-bar');
+  const lyricsTapBtn = document.getElementById('lyrics-tap');
+  const lyricsTapDoneBtn = document.getElementById('lyrics-tap-done');
+  const lyricsTapCancelBtn = document.getElementById('lyrics-tap-cancel');
+  const lyricsPanel = document.getElementById('lyrics-panel');
+  const closeLyricsBtn = document.getElementById('close-lyrics');
+  const lyricsInput = document.getElementById('lyrics-input');
+  const lyricsStatus = document.getElementById('lyrics-status');
+  const lyricsOffsetInput = document.getElementById('lyrics-offset');
+  const lyricsTapStartBtn = document.getElementById('lyrics-tap-start');
+  const lyricsClearBtn = document.getElementById('lyrics-clear');
+  // Overdub bar on the recorder: the take sung over and how to leave
+  const overdubBar = document.getElementById('overdub-bar');
+  const overdubFrame = document.getElementById('overdub-frame');
+  const overdubInfo = document.getElementById('overdub-info');
+  const overdubExitBtn = document.getElementById('overdub-exit');
+
   // Modal elements for viewing recordings with swipe navigation
   const videoModal = document.getElementById('video-modal');
   const modalVideo = document.getElementById('modal-video');
   const closeModalBtn = document.getElementById('close-modal');
+  const shareModalBtn = document.getElementById('share-modal');
+  // Viewer controls: browsing, details, speed and frame stepping
+  const prevModalBtn = document.getElementById('prev-modal');
+  const nextModalBtn = document.getElementById('next-modal');
+  const infoModalBtn = document.getElementById('info-modal');
+  const modalInfo = document.getElementById('modal-info');
+  const modalSpeed = document.getElementById('modal-speed');
+  const frameBackBtn = document.getElementById('frame-back');
+  const frameForwardBtn = document.getElementById('frame-forward');
+  // Scrubber with the switch markers and the switch editor in the modal
+  const modalTimeline = document.getElementById('modal-timeline');
+  const modalProgress = document.getElementById('modal-progress');
+  const editSwitchesBtn = document.getElementById('edit-switches');
+  const switchEditor = document.getElementById('switch-editor');
+  const switchList = document.getElementById('switch-list');
+  const switchAddBtn = document.getElementById('switch-add');
+  const switchRenderBtn = document.getElementById('switch-render');
+  const switchCloseBtn = document.getElementById('switch-close');
+  // Overdub: start from the modal, layer levels of an overdub take
+  const overdubStartBtn = document.getElementById('overdub-start');
+  const editLayersBtn = document.getElementById('edit-layers');
+  const layersEditor = document.getElementById('layers-editor');
+  const layerNewInput = document.getElementById('layer-new');
+  const layerBaseInput = document.getElementById('layer-base');
+  const layersRenderBtn = document.getElementById('layers-render');
+  const layersCloseBtn = document.getElementById('layers-close');
+  // Clip editor in the modal (trim, split, join)
+  const editClipBtn = document.getElementById('edit-clip');
+  const clipEditor = document.getElementById('clip-editor');
+  const clipStartInput = document.getElementById('clip-start');
+  const clipEndInput = document.getElementById('clip-end');
+  const clipStartHereBtn = document.getElementById('clip-start-here');
+  const clipEndHereBtn = document.getElementById('clip-end-here');
+  const clipTrimBtn = document.getElementById('clip-trim');
+  const clipSplitBtn = document.getElementById('clip-split');
+  const clipCloseBtn = document.getElementById('clip-close');
+  const clipJoinList = document.getElementById('clip-join-list');
+  const clipJoinBtn = document.getElementById('clip-join');
 
   // Keep a separate list of recordings with their metadata. Each entry has
-  // { url, fileName, duration }. This array is used by the modal to
-  // navigate between recordings without relying on DOM structure.
+  // { id, url, blob, fileName, duration, date, mimeType, pinned }. `id` is the
+  // IndexedDB key and is only set once the recording has been saved. This
+  // array is used by the modal to navigate between recordings without
+  // relying on DOM structure.
   const recordingsList = [];
   let currentModalIndex = null;
   // Icons inside the toggle button
@@ -43,21 +188,117 @@
   // Gallery control buttons
   const deleteAllBtn = document.getElementById('delete-all');
   const downloadAllBtn = document.getElementById('download-all');
+  // Gallery filters, sorting and multi-select
+  const gallerySearch = document.getElementById('gallery-search');
+  const galleryFilter = document.getElementById('gallery-filter');
+  const gallerySort = document.getElementById('gallery-sort');
+  const gallerySelectBtn = document.getElementById('gallery-select');
+  const gallerySelectionBar = document.getElementById('gallery-selection-bar');
+  const gallerySelectionCount = document.getElementById('gallery-selection-count');
+  const selectionAllBtn = document.getElementById('selection-all');
+  const selectionDownloadBtn = document.getElementById('selection-download');
+  const selectionShareBtn = document.getElementById('selection-share');
+  const selectionDeleteBtn = document.getElementById('selection-delete');
   const helpBtn = document.getElementById('help-btn');
+  const settingsBtn = document.getElementById('settings-btn');
+  // Song library panel
+  const libraryPanel = document.getElementById('library-panel');
+  const closeLibraryBtn = document.getElementById('close-library');
+  const librarySearch = document.getElementById('library-search');
+  const libraryQueueSection = document.getElementById('library-queue-section');
+  const libraryQueue = document.getElementById('library-queue');
+  const clearQueueBtn = document.getElementById('clear-queue');
+  const libraryRecentSection = document.getElementById('library-recent-section');
+  const libraryRecent = document.getElementById('library-recent');
+  const libraryList = document.getElementById('library-list');
+  const libraryEmpty = document.getElementById('library-empty');
+  // Settings panel
+  const settingsPanel = document.getElementById('settings-panel');
+  const closeSettingsBtn = document.getElementById('close-settings');
+  const latencyRouteLabel = document.getElementById('latency-route');
+  const latencyInput = document.getElementById('latency-ms');
+  const latencyCalibrateBtn = document.getElementById('latency-calibrate');
+  const cameraDeviceRow = document.getElementById('camera-device-row');
+  const cameraDeviceSelect = document.getElementById('camera-device');
+  const cameraResolutionSelect = document.getElementById('camera-resolution');
+  const cameraFpsSelect = document.getElementById('camera-fps');
+  const audioDeviceRow = document.getElementById('audio-device-row');
+  const audioDeviceSelect = document.getElementById('audio-device');
+  const protocolPresetSelect = document.getElementById('protocol-preset');
+  const protocolSaveBtn = document.getElementById('protocol-save');
+  const protocolDeleteBtn = document.getElementById('protocol-delete');
+  // Progress overlay for long local operations (conversion, archives…)
+  const busyOverlay = document.getElementById('busy-overlay');
 
   // ----- State variables -----
   let cameraStream = null;            // MediaStream from getUserMedia (video+mic)
   let currentFacing = 'environment';  // Which camera to use (rear by default)
   let isRecording = false;            // Are we currently recording?
+  let takeFinishing = false;          // Stopped, but handleStop not done yet
   let mediaRecorder = null;           // MediaRecorder instance
   let recordedChunks = [];            // Buffers for the current recording
   let audioContext = null;            // Web Audio context
   let microSource, songSource;        // MediaStreamSource nodes
   let microGain, songGain;            // Gain nodes for cross‑fading
+  let vocalChain = null;              // Vocal processing between microSource and microGain
+  let songDelay = null;               // DelayNode compensating the audio latency
+  let recordingLatencyMs = 0;         // Latency compensated in the current take
   let destinationNode = null;         // MediaStreamDestination for combined audio
+  let compositor = null;              // Canvas compositor of the current take, if any
+  let effects = null;                 // WebGL effects renderer, null without WebGL
+  let cameraZoom = null;              // Current zoom when the camera supports it
+  let torchOn = false;                // Is the torch lit?
+  let pinchStart = null;              // { distance, zoom } while pinching the preview
+  let zoomPending = false;            // A zoom change is being applied
+  let zoomIndicatorTimer = null;      // Hides the zoom readout after a pinch
+  // Takes selected in the gallery, or null outside selection mode
+  let gallerySelection = null;
+  // Thumbnails are made one at a time: promise of the last one queued
+  let thumbnailQueue = Promise.resolve();
+  // Dual mode: { stream (second camera, or null), video (second pane, or
+  // null), url (imported video), layout ('split'|'pip'), swapped, frame }
+  let dualCamera = null;
   let timerInterval = null;           // Interval to update the song timer
+  let preRollTimer = null;            // Interval of the mic-only pre-roll
+  let maxTakeTimer = null;            // Stops the take at its maximum length
+  let triggerWait = null;             // Hands-free start being waited for: { promise, cancel }
   let recordingStartTime = null;      // Timestamp when recording began
+  let recordingEndTime = null;        // Timestamp when recording stopped
+  let pausedAt = null;                // Timestamp of the current pause, or null
+  let pausedTime = 0;                 // Milliseconds spent paused in the take
+  let resumingTake = false;           // The countdown before resuming is running
+  let beepContext = null;             // Audio context of the countdown beeps
+  let takeStarting = null;            // Take waiting to start: { cancelled }
+  let countdownStop = null;           // Ends the countdown on screen early
+  // Take being written to IndexedDB: { meta, ready (resolves with its key,
+  // or null when storage fails), writes (chain of pending writes) }
+  let pendingTake = null;
   let selectedFileName = '';          // Name of the chosen audio file
+  let selectedFile = null;            // The chosen audio file itself
+  let selectedSongKey = '';           // Stable key identifying the song (name + size)
+
+  // Song library loaded from IndexedDB. Entries are
+  // { id, key, blob, name, title, artist, album, cover, tagged, duration,
+  // addedAt, lyrics, lyricsOffset }; `key` is the same name + size key as
+  // selectedSongKey and identifies songs in the queue and the recent list.
+  // `tagged` is set once the file's tags have been read. `lyrics` is the
+  // attached LRC or plain text, `lyricsOffset` its display shift in ms.
+  const songLibrary = [];
+  let currentSong = null;             // Library entry currently loaded
+  let songCoverUrl = null;            // Object URL of the cover in the top bar
+  let songLyrics = null;              // Parsed lyrics of the current song
+  let lyricsFrame = null;             // Animation frame of the lyrics display
+  let lyricsTap = null;               // Tap-along session: { lines, index }
+  let songQueue = [];                 // Keys of the songs to record next
+  let recentSongs = [];               // Keys of the last loaded songs, newest first
+
+  // Portion of the song to record, in seconds. `end` is null when the song
+  // plays to its natural end. Remembered per song in localStorage.
+  let songRange = { start: 0, end: null };
+  // Peaks of the decoded song, computed once per song for the waveform
+  let waveformPeaks = null;
+  // Whether the range editor is currently playing its preview
+  let rangePreviewing = false;
 
   // Track whether the song is currently playing to toggle the timer between
   // total duration and remaining time
@@ -67,6 +308,33 @@
   // avoids relying on gain values directly when toggling.
   let recordingSource = 'mic';
 
+  // Source switches of the current take: [{ time, source }] with `time` in
+  // seconds from recordingStartTime. The first entry is the initial source.
+  let sourceSwitches = [];
+  // Time in the take at which the song started playing
+  let songStartedAt = 0;
+  // Audio-only recorder keeping the microphone before the mix (after the
+  // vocal processing)
+  let micRecorder = null;
+  let micChunks = [];
+  let micRecorderDone = null;         // Resolves with the raw mic Blob
+  // Copy of the switches being edited in the modal, or null
+  let switchDraft = null;
+  // Clip being edited in the modal: { start, end } in seconds, or null
+  let clipDraft = null;
+  // Overdub mode: entry of recordingsList sung over, or null, and the video
+  // element playing it (shown on the recorder, used as the song of the take)
+  let overdubBase = null;
+  let overdubVideo = null;
+
+  // Level meters: { mic, song, mix } each with its AnalyserNode, DOM
+  // elements and peak-hold state; null when not recording
+  let meters = null;
+  let meterFrame = null;              // requestAnimationFrame handle
+  let clipWarningUntil = 0;           // Show the clipping warning until this time
+  let micSilentSince = null;          // When the mic input went silent
+  let micCutBySystem = false;         // The mic track was muted or ended
+
   // Clone of the audio element used solely for recording. Creating a new
   // MediaElementSourceNode from the original audio element more than once
   // can cause errors on some browsers (notably Safari). Instead, we create
@@ -74,7 +342,246 @@
   // context. This element is not part of the DOM.
   let songClone = null;
 
+  // ----- Settings -----
+  // User preferences are kept in localStorage as a single JSON object. Each
+  // top-level key groups the options of one feature; stored values are
+  // merged over the defaults so options added later get sensible values.
+  const SETTINGS_KEY = 'cralk-settings';
+  const DEFAULT_SETTINGS = {
+    // mode: 'count' (keep maxCount takes), 'storage' (keep the takes under
+    // maxStorageMB, see storedSize) or 'all' (never evict)
+    retention: { mode: 'count', maxCount: 10, maxStorageMB: 500 },
+    // format: 'mp4' (convert WebM takes on the device when exporting) or
+    // 'original' (export the file exactly as recorded)
+    export: { format: 'mp4' },
+    // mode: 'switch' (the toggle crossfades between mic and song) or 'duet'
+    // (both are recorded together). Levels are linear gains set with the
+    // on-screen faders; fadeMs is the crossfade length. overdubLayout:
+    // 'pip' (inset) or 'side' (side by side) for overdubs.
+    mix: { mode: 'switch', fadeMs: 150, micLevel: 1, songLevel: 1, overdubLayout: 'pip' },
+    // routes: measured round-trip latency in ms per audio output name
+    latency: { routes: {} },
+    // sort: order of the gallery (see sortRecordings)
+    gallery: { sort: 'date-asc' },
+    // Overlays burned into the video; without WebGL effects the camera
+    // track is recorded as is when they are all off
+    overlays: { title: false, watermark: false, progress: false },
+    // look: colour grade id from CralkEffects.LOOKS; mirror only applies to
+    // the front camera
+    effects: { look: 'none', smooth: false, vignette: false, grain: false, mirror: false },
+    // resolution: key of CAMERA_RESOLUTIONS; aspect: key of CAMERA_ASPECTS
+    // or 'full' for the camera's own; deviceId: a specific camera, or ''
+    // to pick it by facing mode
+    camera: { resolution: '720', fps: '30', aspect: 'full', deviceId: '' },
+    // Mic input: deviceId ('' for the default mic) and the browser's voice
+    // call processing, off by default as it damages singing. highpass,
+    // compressor and reverb (wet level, 0–1) make up the vocal chain.
+    audio: {
+      deviceId: '',
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false,
+      highpass: false,
+      compressor: false,
+      reverb: '0',
+    },
+    // Take protocol, in seconds: countdown before the take (0 to skip),
+    // mic-only pre-roll before the song, maximum take length (0 for none).
+    // trigger: 'off', or start hands-free on a 'voice' or a 'clap'.
+    protocol: { countdown: 3, beeps: false, preRoll: 0, maxTake: 0, trigger: 'off' },
+  };
+
+  /**
+   * Load the settings from localStorage, falling back to the defaults.
+   * @returns {Object}
+   */
+  function loadSettings() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (_) {
+      // ignore corrupt or unavailable storage
+    }
+    const result = {};
+    Object.keys(DEFAULT_SETTINGS).forEach((section) => {
+      result[section] = Object.assign({}, DEFAULT_SETTINGS[section], stored[section]);
+    });
+    return result;
+  }
+
+  /**
+   * Save the current settings to localStorage.
+   */
+  function saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (err) {
+      console.warn('Impossible d\'enregistrer les réglages :', err);
+    }
+  }
+
+  const settings = loadSettings();
+
+  // Container/codec combinations tried for MediaRecorder, most compatible
+  // first. MP4 is preferred so exported files play everywhere; VP9 comes
+  // before VP8 because VP9 can be copied into MP4 without re-encoding.
+  const RECORDER_MIME_TYPES = [
+    'video/mp4;codecs=avc1.42E01E,mp4a.40.2',
+    'video/mp4;codecs=h264,aac',
+    'video/mp4',
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm',
+  ];
+
+  // Requested capture sizes. They are landscape; browsers swap them for
+  // cameras that deliver portrait frames.
+  const CAMERA_RESOLUTIONS = {
+    720: { width: 1280, height: 720 },
+    1080: { width: 1920, height: 1080 },
+    2160: { width: 3840, height: 2160 },
+  };
+  // Recorded frame shapes (width / height), cropped from the camera's
+  const CAMERA_ASPECTS = { portrait: 9 / 16, square: 1, landscape: 16 / 9 };
+
+  // How long the title card stays on screen, then fades out (seconds)
+  const TITLE_CARD_SECONDS = 5;
+  const TITLE_CARD_FADE = 0.6;
+
+  // Level meter scale and warning thresholds
+  const METER_FLOOR_DB = -60;
+  const PEAK_HOLD_MS = 1000;
+  const CLIP_LEVEL = 0.99;            // Sample peak treated as clipping
+  const CLIP_WARNING_MS = 1500;
+  const SILENCE_LEVEL = 0.001;        // RMS under -60 dBFS counts as silence
+  const SILENCE_WARNING_MS = 5000;
+
+  // Length of the chunks delivered by the recorders and saved as they come
+  const RECORDER_TIMESLICE_MS = 1000;
+
+  // Containers for the raw microphone track kept alongside each take
+  const MIC_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/mp4', 'audio/webm'];
+
+  // Optional per-take data stored with the recording. The first fields are
+  // needed to re-render the audio: switches, raw mic, song file (only for
+  // songs missing from the library, see takeSongBlob), where the
+  // song started in the take and which part of it was played, the mix
+  // settings and latency used. The others describe the song (from its
+  // tags), number the takes of each song, hold the layer sung over in an
+  // overdub, the name given by the user and the gallery thumbnail.
+  const TAKE_FIELDS = [
+    'switches',
+    'micBlob',
+    'songBlob',
+    'songStart',
+    'songOffset',
+    'songEnd',
+    'mix',
+    'latencyMs',
+    'songKey',
+    'title',
+    'artist',
+    'album',
+    'cover',
+    'takeNumber',
+    'overdubBlob',
+    'name',
+    'thumbnail',
+  ];
+  // Size of the inset of the take sung over in an overdub, as a fraction of
+  // the width of the video
+  const OVERDUB_INSET = 0.32;
+  // Hash of the URL while a take is open in the viewer, followed by its date
+  // (unique, see addRecordingEntry)
+  const MODAL_HASH = '#prise=';
+  // Distance in pixels a finger must travel to browse or close the viewer
+  const MODAL_SWIPE_PX = 50;
+  const MODAL_CLOSE_SWIPE_PX = 100;
+  // Same for the small pane of the dual camera
+  const DUAL_INSET = 0.3;
+  // Gallery thumbnails: width in pixels, time of the frame grabbed, how long
+  // to wait for the video to load (iOS may never load a detached video) and
+  // for the seek (WebM takes often cannot be seeked precisely)
+  const THUMBNAIL_WIDTH = 320;
+  const THUMBNAIL_TIME = 1;
+  const THUMBNAIL_LOAD_MS = 5000;
+  const THUMBNAIL_SEEK_MS = 3000;
+  // Delay before checking that the first camera survived opening the second
+  const DUAL_CHECK_MS = 500;
+  // Fields kept by edited clips. Their sound no longer lines up with the raw
+  // tracks, so only the description of the song is carried over.
+  const CLIP_FIELDS = ['songKey', 'title', 'artist', 'album', 'cover', 'takeNumber'];
+
+  // Saved protocols: [{ name, protocol }]
+  const PROTOCOL_PRESETS_KEY = 'cralk-protocol-presets';
+  // Fields of the protocol editor: [input id, protocol key]
+  const PROTOCOL_FIELDS = [
+    ['protocol-countdown', 'countdown'],
+    ['protocol-beeps', 'beeps'],
+    ['protocol-preroll', 'preRoll'],
+    ['protocol-max', 'maxTake'],
+    ['protocol-trigger', 'trigger'],
+  ];
+  // Countdown before a paused take resumes (seconds)
+  const RESUME_COUNTDOWN = 3;
+
+  // Hands-free start: a voice must stay above VOICE_LEVEL (RMS) for
+  // VOICE_HOLD_MS; a clap is a peak above CLAP_PEAK and CLAP_RATIO times
+  // louder than the room
+  const VOICE_LEVEL = 0.03;
+  const VOICE_HOLD_MS = 300;
+  const CLAP_PEAK = 0.3;
+  const CLAP_RATIO = 10;
+
+  // Song ranges are stored apart from the settings: { [songKey]: {start, end} }
+  const SONG_RANGES_KEY = 'cralk-song-ranges';
+  // Queue and recent songs, as lists of song keys
+  const SONG_QUEUE_KEY = 'cralk-song-queue';
+  const RECENT_SONGS_KEY = 'cralk-recent-songs';
+  const MAX_RECENT_SONGS = 5;
+
   // ----- Utility functions -----
+  /**
+   * Return the best container MediaRecorder supports on this device, or an
+   * empty string to let the browser choose.
+   * @param {string[]} [types] candidates, most preferred first
+   * @returns {string}
+   */
+  function pickRecorderMimeType(types = RECORDER_MIME_TYPES) {
+    if (!window.MediaRecorder || !MediaRecorder.isTypeSupported) return '';
+    return types.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  /**
+   * File extension matching the container of a MIME type.
+   * @param {string} mimeType
+   * @returns {string}
+   */
+  function fileExtensionForMime(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    if (type === 'video/mp4' || type === 'audio/mp4') return 'mp4';
+    if (type === 'video/quicktime') return 'mov';
+    if (type === 'video/x-matroska') return 'mkv';
+    return 'webm';
+  }
+
+  /**
+   * Show the progress overlay with a message.
+   * @param {string} text
+   */
+  function showBusy(text) {
+    if (!busyOverlay) return;
+    busyOverlay.textContent = text;
+    busyOverlay.style.display = 'flex';
+  }
+
+  /**
+   * Hide the progress overlay.
+   */
+  function hideBusy() {
+    if (busyOverlay) busyOverlay.style.display = 'none';
+  }
+
   /**
    * Format a duration in seconds as MM:SS.
    * @param {number} seconds
@@ -95,12 +602,13 @@
       return;
     }
     let text;
-    // When the song is not yet playing, show its total duration. When playing,
-    // display the remaining time as a countdown.
+    // When the song is not yet playing, show the length of the selected
+    // range (the whole song by default). When playing, display the
+    // remaining time until the out-point as a countdown.
     if (!songPlaying) {
-      text = formatTime(audioPlayer.duration);
+      text = formatTime(songRangeEnd() - songRange.start);
     } else {
-      const remaining = Math.max(0, audioPlayer.duration - audioPlayer.currentTime);
+      const remaining = Math.max(0, songRangeEnd() - audioPlayer.currentTime);
       text = formatTime(remaining);
     }
     songTimer.textContent = text;
@@ -146,11 +654,9 @@
       if (cameraStream) {
         cameraStream.getTracks().forEach((track) => track.stop());
       }
-      cameraStream = await navigator.mediaDevices.getUserMedia({
-        video: { facingMode: currentFacing },
-        audio: true,
-      });
+      cameraStream = await openCameraStream();
       cameraPreview.srcObject = cameraStream;
+      onCameraReady();
       try {
         await cameraPreview.play();
       } catch (_) {
@@ -168,30 +674,276 @@
   }
 
   /**
-   * Handle selection of an audio file. Displays its name and prepares the
-   * audio player. Enables the record button once a song is chosen.
+   * Whether getUserMedia failed because a device asked for is not there.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  function isMissingDevice(err) {
+    return err.name === 'OverconstrainedError' || err.name === 'NotFoundError';
+  }
+
+  /**
+   * Open the camera and mic picked in the settings. When one of them is
+   * gone, retry dropping one choice at a time (camera, then mic, then both)
+   * so the device that is still there stays picked; the choices dropped
+   * are saved.
+   * @returns {Promise<MediaStream>}
+   */
+  async function openCameraStream() {
+    const open = () =>
+      navigator.mediaDevices.getUserMedia({
+        video: videoConstraints(),
+        audio: audioConstraints(),
+      });
+    try {
+      return await open();
+    } catch (err) {
+      if (!isMissingDevice(err)) throw err;
+      const picked = ['camera', 'audio'].filter((section) => settings[section].deviceId);
+      const attempts = picked.length > 1 ? [['camera'], ['audio'], picked] : picked.length ? [picked] : [];
+      for (const sections of attempts) {
+        const saved = sections.map((section) => settings[section].deviceId);
+        sections.forEach((section) => {
+          settings[section].deviceId = '';
+        });
+        try {
+          const stream = await open();
+          saveSettings();
+          return stream;
+        } catch (retryErr) {
+          sections.forEach((section, i) => {
+            settings[section].deviceId = saved[i];
+          });
+          if (!isMissingDevice(retryErr)) throw retryErr;
+        }
+      }
+      throw err;
+    }
+  }
+
+  // ----- Song library -----
+
+  /**
+   * Guess title and artist from a file name such as "Artist - Title.mp3".
+   * @param {string} name
+   * @returns {{title: string, artist: string}}
+   */
+  function songInfoFromName(name) {
+    const base = name.replace(/\.[^.]+$/, '').trim();
+    const parts = base.split(' - ');
+    if (parts.length >= 2) {
+      return { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() };
+    }
+    return { artist: '', title: base };
+  }
+
+  /**
+   * Title, artist, album and cover of a song from its tags, falling back
+   * to the file name for the title and artist.
+   * @param {Blob} blob
+   * @param {string} name file name
+   * @returns {Promise<Object>}
+   */
+  async function readSongTags(blob, name) {
+    const tags = await CralkTags.read(blob);
+    const fromName = songInfoFromName(name);
+    return {
+      title: tags.title || fromName.title,
+      artist: tags.artist || fromName.artist,
+      album: tags.album,
+      cover: tags.cover,
+      tagged: true,
+    };
+  }
+
+  /**
+   * Write the changes made to a library song back to IndexedDB.
+   * @param {Object} song library entry
+   * @returns {Promise<void>}
+   */
+  function persistSong(song) {
+    if (song.id === undefined) return Promise.resolve();
+    return CralkStorage.putSong(song).catch((err) =>
+      console.warn('Erreur lors de la mise à jour du morceau :', err)
+    );
+  }
+
+  /**
+   * Read the tags of songs imported before tags were supported and save
+   * them, one song at a time in the background.
+   * @param {Object[]} songs library entries
+   * @returns {Promise<void>}
+   */
+  async function tagLibrarySongs(songs) {
+    for (const song of songs) {
+      if (song.tagged) continue;
+      Object.assign(song, await readSongTags(song.blob, song.name));
+      await persistSong(song);
+      if (song === currentSong) updateFileInfo();
+    }
+    renderLibrary();
+  }
+
+  /**
+   * Read the duration of an audio file with a detached audio element.
+   * @param {Blob} blob
+   * @returns {Promise<number>} seconds, 0 when unknown
+   */
+  function probeDuration(blob) {
+    return new Promise((resolve) => {
+      const probe = new Audio();
+      const url = URL.createObjectURL(blob);
+      const done = (duration) => {
+        URL.revokeObjectURL(url);
+        probe.removeAttribute('src');
+        resolve(duration);
+      };
+      probe.preload = 'metadata';
+      probe.onloadedmetadata = () => done(isFinite(probe.duration) ? probe.duration : 0);
+      probe.onerror = () => done(0);
+      probe.src = url;
+    });
+  }
+
+  /**
+   * Display name of a song: "Artist – Title", or the title alone.
+   * @param {Object} song library entry
+   * @returns {string}
+   */
+  function songLabel(song) {
+    return song.artist ? `${song.artist} – ${song.title}` : song.title;
+  }
+
+  /**
+   * Find a library entry by song key.
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  function findSong(key) {
+    return songLibrary.find((song) => song.key === key);
+  }
+
+  /**
+   * Song file of a take, for re-rendering its audio. Takes of library songs
+   * only store the song key; the others keep their own copy.
+   * @param {Object} rec entry of recordingsList
+   * @returns {Blob|null}
+   */
+  function takeSongBlob(rec) {
+    if (rec.songBlob) return rec.songBlob;
+    const song = rec.songKey ? findSong(rec.songKey) : null;
+    return song ? song.blob : null;
+  }
+
+  /**
+   * Read a list of song keys from localStorage.
+   * @param {string} storageKey
+   * @returns {string[]}
+   */
+  function loadSongKeys(storageKey) {
+    try {
+      const keys = JSON.parse(localStorage.getItem(storageKey));
+      return Array.isArray(keys) ? keys : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the queue and the recent songs to localStorage.
+   */
+  function saveSongLists() {
+    try {
+      localStorage.setItem(SONG_QUEUE_KEY, JSON.stringify(songQueue));
+      localStorage.setItem(RECENT_SONGS_KEY, JSON.stringify(recentSongs));
+    } catch (err) {
+      console.warn('Impossible d\'enregistrer la file d\'attente :', err);
+    }
+  }
+
+  /**
+   * Add files to the library. Files already imported (same name and size)
+   * are not duplicated. The songs are saved in IndexedDB; a failed save
+   * keeps them for the current session only.
+   * @param {File[]} files
+   * @returns {Promise<Object[]>} library entries, in the order of `files`
+   */
+  async function importSongs(files) {
+    const imported = [];
+    for (const file of files) {
+      const key = `${file.name}:${file.size}`;
+      let song = findSong(key);
+      if (!song) {
+        song = Object.assign(
+          {
+            key,
+            blob: file,
+            name: file.name,
+            duration: await probeDuration(file),
+            addedAt: Date.now(),
+          },
+          await readSongTags(file, file.name)
+        );
+        try {
+          song.id = await CralkStorage.addSong(Object.assign({}, song));
+        } catch (err) {
+          console.warn('Impossible d\'ajouter le morceau à la bibliothèque :', err);
+        }
+        songLibrary.push(song);
+      }
+      imported.push(song);
+    }
+    return imported;
+  }
+
+  /**
+   * Handle files chosen with the import button. A single file is loaded
+   * right away, as before the library existed; several files are only added
+   * to the library, which stays open to pick from.
    * @param {Event} event
    */
-  function handleFileSelection(event) {
-    const file = event.target.files[0];
-    if (!file) {
-      selectedFileName = '';
-      fileInfo.textContent = '';
-      songTimer.style.display = 'none';
-      recordButton.disabled = true;
-      toggleSourceBtn.disabled = true;
-      audioPlayer.removeAttribute('src');
-      return;
+  async function handleFileSelection(event) {
+    const files = Array.from(event.target.files || []);
+    // Reset so choosing the same file again still fires a change event
+    event.target.value = '';
+    if (!files.length) return;
+    showBusy('Import des morceaux…');
+    let imported = [];
+    try {
+      imported = await importSongs(files);
+    } finally {
+      hideBusy();
+    }
+    if (imported.length === 1) {
+      loadSong(imported[0]);
+      closeLibrary();
     }
-    selectedFileName = file.name;
+    renderLibrary();
+  }
+
+  /**
+   * Make a library song the current song: load it into the player and
+   * restore its saved range. Enables the record button.
+   * @param {Object} song library entry
+   */
+  function loadSong(song) {
+    if (isRecording || !song) return;
+    closeRangeEditor();
+    waveformPeaks = null;
+    currentSong = song;
+    selectedFileName = song.name;
+    selectedFile = song.blob;
+    selectedSongKey = song.key;
+    songRange = loadSongRange(selectedSongKey);
+    if (rangeBtn) rangeBtn.disabled = false;
+    if (lyricsBtn) lyricsBtn.disabled = false;
     // Revoke previous URL if needed
     if (audioPlayer.src) {
       URL.revokeObjectURL(audioPlayer.src);
     }
-    const url = URL.createObjectURL(file);
+    const url = URL.createObjectURL(song.blob);
     audioPlayer.src = url;
     audioPlayer.load();
-    fileInfo.textContent = selectedFileName;
     recordButton.disabled = false;
     toggleSourceBtn.disabled = true;
     // When metadata is loaded, display the total duration
@@ -199,101 +951,822 @@
       songPlaying = false;
       updateSongTimer();
     };
+    recentSongs = [song.key].concat(recentSongs.filter((key) => key !== song.key)).slice(0, MAX_RECENT_SONGS);
+    saveSongLists();
+    updateFileInfo();
+    loadLyrics();
   }
 
   /**
-   * Display a countdown overlay for the specified number of seconds. Returns
-   * a promise that resolves when the countdown completes.
-   * @param {number} seconds
-   * @returns {Promise<void>}
+   * Clear the current song (after it was removed from the library).
    */
-  function runCountdown(seconds) {
-    return new Promise((resolve) => {
-      let n = seconds;
-      countdownOverlay.style.display = 'flex';
-      countdownOverlay.textContent = n.toString();
-      const interval = setInterval(() => {
-        n -= 1;
-        if (n > 0) {
-          countdownOverlay.textContent = n.toString();
-        } else {
-          clearInterval(interval);
-          countdownOverlay.style.display = 'none';
-          resolve();
-        }
-      }, 1000);
-    });
+  function unloadSong() {
+    closeRangeEditor();
+    waveformPeaks = null;
+    currentSong = null;
+    selectedFileName = '';
+    selectedFile = null;
+    selectedSongKey = '';
+    songRange = { start: 0, end: null };
+    if (rangeBtn) rangeBtn.disabled = true;
+    if (lyricsBtn) lyricsBtn.disabled = true;
+    closeLyricsPanel();
+    songTimer.style.display = 'none';
+    recordButton.disabled = !overdubBase;
+    toggleSourceBtn.disabled = true;
+    if (audioPlayer.src) URL.revokeObjectURL(audioPlayer.src);
+    audioPlayer.removeAttribute('src');
+    updateFileInfo();
+    loadLyrics();
   }
 
   /**
-   * Start playback of the selected song and adjust gain nodes so that only
-   * the music is included in the recorded audio. Also sets up a timer to
-   * update the display and stops the recording when the song ends.
+   * Show the current song in the top bar: cover, artist and title, and the
+   * number of queued songs.
    */
-  function startSong() {
-    if (!audioPlayer.src) return;
-    // Reset both audio elements to the beginning and unmute the user's player
-    audioPlayer.currentTime = 0;
-    // Unmute the audio element now that playback should be audible
-    audioPlayer.muted = false;
-    if (songClone) songClone.currentTime = 0;
-    // Mute the microphone and unmute the song in the recording
-    microGain.gain.value = 0;
-    songGain.gain.value = 1;
-    // Start playback for the recording clone. The user's audio element is
-    // already playing (triggered at the start of recording), so we only
-    // need to start the clone if it exists.
-    if (songClone) {
-      songClone.play().catch((err) => console.warn('Erreur lecture (enregistrement) :', err));
+  function updateFileInfo() {
+    if (songCoverUrl) URL.revokeObjectURL(songCoverUrl);
+    songCoverUrl = currentSong && currentSong.cover ? URL.createObjectURL(currentSong.cover) : null;
+    if (songCover) {
+      songCover.hidden = !songCoverUrl;
+      if (songCoverUrl) songCover.src = songCoverUrl;
+      else songCover.removeAttribute('src');
     }
-    songPlaying = true;
-    updateSongTimer();
-    if (timerInterval) clearInterval(timerInterval);
-    timerInterval = setInterval(updateSongTimer, 500);
-    // Stop recording automatically when the song finishes (use the user's audio element)
-    audioPlayer.onended = () => {
-      if (isRecording) {
-        stopRecording();
+    if (!currentSong) {
+      fileInfo.textContent = '';
+      return;
+    }
+    const queued = songQueue.length ? ` (+${songQueue.length})` : '';
+    fileInfo.textContent = `${songLabel(currentSong)}${queued}`;
+    fileInfo.title = currentSong.album ? `${songLabel(currentSong)} — ${currentSong.album}` : songLabel(currentSong);
+  }
+
+  /**
+   * Append a song to the queue.
+   * @param {Object} song library entry
+   */
+  function enqueueSong(song) {
+    songQueue.push(song.key);
+    saveSongLists();
+    updateFileInfo();
+    renderLibrary();
+  }
+
+  /**
+   * Load the next queued song, if any. Called after each take so several
+   * songs can be recorded back to back.
+   */
+  function advanceQueue() {
+    while (songQueue.length) {
+      const song = findSong(songQueue.shift());
+      if (song) {
+        saveSongLists();
+        loadSong(song);
+        renderLibrary();
+        return;
       }
-    };
-    // Enable the toggle button during music playback
-    toggleSourceBtn.disabled = false;
-    // Show the music icon and hide the mic icon
-    if (micIcon) micIcon.style.display = 'none';
-    if (noteToggleIcon) noteToggleIcon.style.display = 'block';
-    // We are now recording the song (mic muted)
-    recordingSource = 'song';
+    }
+    saveSongLists();
   }
 
   /**
-   * Begin a new recording following the fixed protocol. First records
-   * ambient mic audio, then after a delay and countdown switches to the
-   * selected song. Sets up the audio graph for cross‑fading.
+   * Remove a song from the library after confirmation.
+   * @param {Object} song library entry
    */
-  async function startRecording() {
+  function deleteSong(song) {
+    if (!confirm(`Retirer « ${songLabel(song)} » de la bibliothèque ?`)) return;
+    const index = songLibrary.indexOf(song);
+    if (index !== -1) songLibrary.splice(index, 1);
+    songQueue = songQueue.filter((key) => key !== song.key);
+    recentSongs = recentSongs.filter((key) => key !== song.key);
+    saveSongLists();
+    // Takes of this song can no longer find it by key: give them a copy
+    recordingsList.forEach((rec) => {
+      if (rec.songKey !== song.key || rec.songBlob) return;
+      rec.songBlob = song.blob;
+      updateRecording(rec);
+    });
+    if (song.id !== undefined) {
+      CralkStorage.deleteSong(song.id).catch((err) =>
+        console.warn('Erreur lors de la suppression du morceau :', err)
+      );
+    }
+    if (currentSong === song && !isRecording) unloadSong();
+    updateFileInfo();
+    renderLibrary();
+  }
+
+  /**
+   * Lowercase a string and strip accents for searching.
+   * @param {string} text
+   * @returns {string}
+   */
+  function searchText(text) {
+    return (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Fill a list of the library panel with song rows.
+   * @param {HTMLElement} list
+   * @param {Object[]} songs
+   * @param {'queue'|'recent'|'all'} kind decides the row actions
+   */
+  function fillSongList(list, songs, kind) {
+    list.innerHTML = '';
+    songs.forEach((song, index) => {
+      const item = document.createElement('li');
+      item.className = 'song-row';
+      item.classList.toggle('current', song === currentSong);
+      const info = document.createElement('button');
+      info.className = 'song-info';
+      const title = document.createElement('span');
+      title.className = 'song-title';
+      title.textContent = song.title;
+      const meta = document.createElement('span');
+      meta.className = 'song-meta';
+      meta.textContent = [song.artist, song.album, song.duration ? formatTime(song.duration) : '']
+        .filter(Boolean)
+        .join(' · ');
+      info.appendChild(title);
+      info.appendChild(meta);
+      info.addEventListener('click', () => {
+        if (isRecording) return;
+        if (kind === 'queue') {
+          songQueue.splice(index, 1);
+          saveSongLists();
+        }
+        loadSong(song);
+        closeLibrary();
+      });
+      item.appendChild(info);
+      const action = document.createElement('button');
+      action.className = 'range-action';
+      if (kind === 'queue') {
+        action.title = 'Retirer de la file';
+        action.textContent = '×';
+        action.addEventListener('click', () => {
+          songQueue.splice(index, 1);
+          saveSongLists();
+          updateFileInfo();
+          renderLibrary();
+        });
+      } else {
+        action.title = 'Ajouter à la file';
+        action.textContent = '+';
+        action.addEventListener('click', () => enqueueSong(song));
+      }
+      item.appendChild(action);
+      if (kind === 'all') {
+        const remove = document.createElement('button');
+        remove.className = 'range-action';
+        remove.title = 'Retirer de la bibliothèque';
+        remove.textContent = '🗑';
+        remove.addEventListener('click', () => deleteSong(song));
+        item.appendChild(remove);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Rebuild the queue, recent and full lists of the library panel. The
+   * search field filters the full list on title, artist, album and file name.
+   */
+  function renderLibrary() {
+    if (!libraryPanel) return;
+    const query = searchText(librarySearch.value);
+    const queued = songQueue.map(findSong).filter(Boolean);
+    libraryQueueSection.style.display = queued.length ? '' : 'none';
+    fillSongList(libraryQueue, queued, 'queue');
+    const recents = recentSongs.map(findSong).filter(Boolean);
+    libraryRecentSection.style.display = recents.length && !query ? '' : 'none';
+    fillSongList(libraryRecent, recents, 'recent');
+    const matches = songLibrary
+      .filter((song) => !query || searchText(`${song.title} ${song.artist} ${song.album} ${song.name}`).includes(query))
+      .sort((a, b) => a.title.localeCompare(b.title));
+    fillSongList(libraryList, matches, 'all');
+    libraryEmpty.style.display = songLibrary.length ? 'none' : '';
+  }
+
+  /**
+   * Show the library panel.
+   */
+  function openLibrary() {
     if (isRecording) return;
-    if (!cameraStream) {
-      alert('La caméra n\'est pas disponible.');
-      return;
+    renderLibrary();
+    libraryPanel.style.display = 'flex';
+  }
+
+  /**
+   * Hide the library panel.
+   */
+  function closeLibrary() {
+    if (libraryPanel) libraryPanel.style.display = 'none';
+  }
+
+  /**
+   * Load the library from IndexedDB, restore the queue and reload the
+   * song used last so a session starts where the previous one ended.
+   * @returns {Promise<void>}
+   */
+  async function restoreLibrary() {
+    try {
+      const songs = await CralkStorage.getAllSongs();
+      songs.forEach((song) => songLibrary.push(song));
+    } catch (err) {
+      console.warn('Impossible de charger la bibliothèque :', err);
     }
-    if (!audioPlayer.src) {
-      alert('Veuillez d\'abord sélectionner une chanson.');
+    songQueue = loadSongKeys(SONG_QUEUE_KEY).filter(findSong);
+    recentSongs = loadSongKeys(RECENT_SONGS_KEY).filter(findSong);
+    if (recentSongs.length && !selectedFile) loadSong(findSong(recentSongs[0]));
+    renderLibrary();
+    tagLibrarySongs(songLibrary.slice());
+  }
+
+  // ----- Lyrics -----
+
+  /**
+   * Parse the lyrics of the current song and show them. Cancels a tap-along
+   * session started on another song.
+   */
+  function loadLyrics() {
+    if (lyricsTap) finishLyricsTap(false);
+    songLyrics = currentSong && currentSong.lyrics ? CralkLyrics.parse(currentSong.lyrics) : null;
+    if (lyricsBtn) lyricsBtn.classList.toggle('active', !!songLyrics);
+    updateLyrics();
+  }
+
+  /**
+   * Song time the lyrics follow, shifted by the song's lyric offset. While
+   * the song is not audible (stopped, or primed muted before it starts in a
+   * take) this is the in-point, so the first lines to sing are shown. A
+   * paused take keeps its place.
+   * @returns {number} seconds
+   */
+  function lyricsTime() {
+    const waiting = isRecording ? !songPlaying : audioPlayer.paused;
+    const time = waiting ? songRange.start : audioPlayer.currentTime;
+    return time - ((currentSong && currentSong.lyricsOffset) || 0) / 1000;
+  }
+
+  /**
+   * Show the line being sung and the next one over the preview. Lyrics that
+   * are not timed yet only show their first line; during tap-along the last
+   * tapped line and the one to tap next are shown.
+   */
+  function updateLyrics() {
+    if (!lyricsOverlay) return;
+    const lines = lyricsTap ? lyricsTap.lines : songLyrics && songLyrics.lines;
+    if (!lines || !lines.length) {
+      lyricsOverlay.style.display = 'none';
       return;
     }
-    // Prime the song playback during the countdown. Playing the audio element
+    let index = -1;
+    if (lyricsTap) index = lyricsTap.index - 1;
+    else if (songLyrics.timed) index = CralkLyrics.lineIndexAt(lines, lyricsTime());
+    lyricsCurrent.textContent = lines[index] ? lines[index].text : '';
+    lyricsNext.textContent = lines[index + 1] ? lines[index + 1].text : '';
+    lyricsOverlay.style.display = 'flex';
+  }
+
+  /**
+   * Follow the song frame by frame while it plays; timeupdate events are
+   * too coarse for lyrics.
+   */
+  function startLyricsLoop() {
+    if (lyricsFrame) return;
+    const loop = () => {
+      updateLyrics();
+      lyricsFrame = requestAnimationFrame(loop);
+    };
+    lyricsFrame = requestAnimationFrame(loop);
+  }
+
+  /**
+   * Stop following the song and show the lines at rest.
+   */
+  function stopLyricsLoop() {
+    if (lyricsFrame) cancelAnimationFrame(lyricsFrame);
+    lyricsFrame = null;
+    updateLyrics();
+  }
+
+  /**
+   * Attach a lyrics file to the current song, replacing its lyrics.
+   * @param {File} file LRC or plain text
+   * @returns {Promise<void>}
+   */
+  async function attachLyrics(file) {
+    if (!currentSong) return;
+    const text = await file.text();
+    if (!CralkLyrics.parse(text).lines.length) {
+      alert('Ce fichier ne contient pas de paroles.');
+      return;
+    }
+    currentSong.lyrics = text;
+    loadLyrics();
+    renderLyricsPanel();
+    await persistSong(currentSong);
+  }
+
+  /**
+   * Remove the lyrics of the current song after confirmation.
+   */
+  function clearLyrics() {
+    if (!currentSong || !confirm('Retirer les paroles de ce morceau ?')) return;
+    delete currentSong.lyrics;
+    delete currentSong.lyricsOffset;
+    loadLyrics();
+    renderLyricsPanel();
+    persistSong(currentSong);
+  }
+
+  /**
+   * Describe the lyrics of the current song in the panel and enable the
+   * actions that apply to them. The offset only makes sense for timed lyrics.
+   */
+  function renderLyricsPanel() {
+    if (!lyricsPanel || !currentSong) return;
+    const timedCount = songLyrics ? songLyrics.lines.filter((line) => line.time !== null).length : 0;
+    if (!songLyrics) {
+      lyricsStatus.textContent =
+        'Aucune parole pour ce morceau : importez un fichier .lrc (minuté) ou .txt (à caler en tapant).';
+    } else if (songLyrics.timed) {
+      lyricsStatus.textContent = `${timedCount} ligne(s) minutée(s) sur ${songLyrics.lines.length}.`;
+    } else {
+      lyricsStatus.textContent = `${songLyrics.lines.length} ligne(s) sans minutage : calez-les en tapant pour qu’elles défilent.`;
+    }
+    lyricsOffsetInput.value = currentSong.lyricsOffset || 0;
+    lyricsOffsetInput.disabled = !timedCount;
+    lyricsTapStartBtn.disabled = !songLyrics;
+    lyricsClearBtn.disabled = !songLyrics;
+  }
+
+  /**
+   * Show the lyrics panel for the current song.
+   */
+  function openLyricsPanel() {
+    if (isRecording || !currentSong) return;
+    closeRangeEditor();
+    renderLyricsPanel();
+    lyricsPanel.style.display = 'flex';
+  }
+
+  /**
+   * Hide the lyrics panel.
+   */
+  function closeLyricsPanel() {
+    if (lyricsPanel) lyricsPanel.style.display = 'none';
+  }
+
+  /**
+   * Start timing the lyrics by hand: the song plays from the beginning and
+   * each tap gives the next line the current song time.
+   */
+  function startLyricsTap() {
+    if (!songLyrics || isRecording) return;
+    closeLyricsPanel();
+    lyricsTap = { lines: songLyrics.lines.map((line) => ({ time: null, text: line.text })), index: 0 };
+    recordButton.disabled = true;
+    if (lyricsBtn) lyricsBtn.disabled = true;
+    if (rangeBtn) rangeBtn.disabled = true;
+    lyricsTapBar.style.display = 'flex';
+    audioPlayer.muted = false;
+    audioPlayer.currentTime = 0;
+    audioPlayer.play().catch(() => {});
+    updateLyrics();
+  }
+
+  /**
+   * Time the next line at the current song position.
+   */
+  function tapLyricsLine() {
+    if (!lyricsTap) return;
+    lyricsTap.lines[lyricsTap.index].time = audioPlayer.currentTime;
+    lyricsTap.index++;
+    if (lyricsTap.index >= lyricsTap.lines.length) finishLyricsTap(true);
+    else updateLyrics();
+  }
+
+  /**
+   * End the tap-along session. When `save` is set, the lines tapped so far
+   * replace the song's lyrics as LRC; the others stay untimed.
+   * @param {boolean} save
+   */
+  function finishLyricsTap(save) {
+    const tap = lyricsTap;
+    lyricsTap = null;
+    audioPlayer.pause();
+    lyricsTapBar.style.display = 'none';
+    recordButton.disabled = !selectedFile && !overdubBase;
+    if (lyricsBtn) lyricsBtn.disabled = !selectedFile;
+    if (rangeBtn) rangeBtn.disabled = !selectedFile;
+    if (save && tap.index > 0 && currentSong) {
+      currentSong.lyrics = CralkLyrics.toLrc(tap.lines);
+      songLyrics = CralkLyrics.parse(currentSong.lyrics);
+      if (lyricsBtn) lyricsBtn.classList.add('active');
+      persistSong(currentSong);
+    }
+    updateLyrics();
+  }
+
+  // ----- Song range editor -----
+
+  /**
+   * End of the selected range in seconds (the song's end when unset).
+   * @returns {number}
+   */
+  function songRangeEnd() {
+    const duration = audioPlayer.duration || 0;
+    if (songRange.end === null || songRange.end > duration) return duration;
+    return songRange.end;
+  }
+
+  /**
+   * Read the saved range of a song.
+   * @param {string} key song key
+   * @returns {{start: number, end: (number|null)}}
+   */
+  function loadSongRange(key) {
+    try {
+      const ranges = JSON.parse(localStorage.getItem(SONG_RANGES_KEY)) || {};
+      if (ranges[key]) return { start: ranges[key].start || 0, end: ranges[key].end ?? null };
+    } catch (_) {
+      // ignore corrupt or unavailable storage
+    }
+    return { start: 0, end: null };
+  }
+
+  /**
+   * Remember the current range for the selected song. Full-length ranges
+   * are not stored.
+   */
+  function saveSongRange() {
+    if (!selectedSongKey) return;
+    try {
+      const ranges = JSON.parse(localStorage.getItem(SONG_RANGES_KEY)) || {};
+      if (songRange.start === 0 && songRange.end === null) {
+        delete ranges[selectedSongKey];
+      } else {
+        ranges[selectedSongKey] = songRange;
+      }
+      localStorage.setItem(SONG_RANGES_KEY, JSON.stringify(ranges));
+    } catch (err) {
+      console.warn('Impossible d\'enregistrer le passage choisi :', err);
+    }
+  }
+
+  /**
+   * Seek a media element, waiting for its metadata if it is not loaded yet.
+   * @param {HTMLMediaElement} el
+   * @param {number} time
+   */
+  function seekWhenReady(el, time) {
+    if (el.readyState >= 1) {
+      el.currentTime = time;
+    } else {
+      el.addEventListener('loadedmetadata', () => {
+        el.currentTime = time;
+      }, { once: true });
+    }
+  }
+
+  /**
+   * Decode the song locally and reduce it to one peak value per bucket for
+   * drawing the waveform.
+   * @param {Blob} file
+   * @param {number} buckets
+   * @returns {Promise<Float32Array>}
+   */
+  async function decodeSongPeaks(file, buckets) {
+    const data = await file.arrayBuffer();
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    const ctx = new Ctx();
+    try {
+      // Callback form for older Safari versions without the promise API
+      const buffer = await new Promise((resolve, reject) => {
+        const result = ctx.decodeAudioData(data, resolve, reject);
+        if (result && result.then) result.then(resolve, reject);
+      });
+      const peaks = new Float32Array(buckets);
+      const size = Math.max(1, Math.floor(buffer.length / buckets));
+      for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const samples = buffer.getChannelData(c);
+        for (let b = 0; b < buckets; b++) {
+          let max = peaks[b];
+          const end = Math.min(samples.length, (b + 1) * size);
+          for (let i = b * size; i < end; i++) {
+            const v = Math.abs(samples[i]);
+            if (v > max) max = v;
+          }
+          peaks[b] = max;
+        }
+      }
+      return peaks;
+    } finally {
+      ctx.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Draw the waveform and position the handles and labels for the current
+   * range. The part of the song outside the range is dimmed.
+   */
+  function drawRangeEditor() {
+    const duration = audioPlayer.duration || 0;
+    const width = waveformContainer.clientWidth;
+    const height = waveformContainer.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    waveformCanvas.width = width * ratio;
+    waveformCanvas.height = height * ratio;
+    const ctx = waveformCanvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.clearRect(0, 0, width, height);
+    const startX = duration ? (songRange.start / duration) * width : 0;
+    const endX = duration ? (songRangeEnd() / duration) * width : width;
+    if (waveformPeaks) {
+      const barWidth = width / waveformPeaks.length;
+      const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent-color').trim();
+      for (let i = 0; i < waveformPeaks.length; i++) {
+        const x = i * barWidth;
+        const h = Math.max(1, waveformPeaks[i] * height * 0.9);
+        ctx.fillStyle = x >= startX && x <= endX ? accent : 'rgba(255, 255, 255, 0.3)';
+        ctx.fillRect(x, (height - h) / 2, Math.max(1, barWidth - 1), h);
+      }
+    } else {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Analyse du morceau…', width / 2, height / 2);
+    }
+    rangeStartHandle.style.left = `${startX}px`;
+    rangeEndHandle.style.left = `${endX}px`;
+    rangeStartLabel.textContent = formatTime(songRange.start);
+    rangeEndLabel.textContent = formatTime(songRangeEnd());
+  }
+
+  /**
+   * Open the range editor and decode the song's waveform if needed.
+   */
+  async function openRangeEditor() {
+    if (!selectedFile || isRecording) return;
+    rangeEditor.style.display = 'block';
+    drawRangeEditor();
+    if (waveformPeaks) return;
+    const file = selectedFile;
+    try {
+      const peaks = await decodeSongPeaks(file, Math.max(60, Math.floor(waveformContainer.clientWidth / 3)));
+      // Ignore the result if another song was picked meanwhile
+      if (file !== selectedFile) return;
+      waveformPeaks = peaks;
+      drawRangeEditor();
+    } catch (err) {
+      console.warn('Impossible de décoder le morceau pour la forme d\'onde :', err);
+    }
+  }
+
+  /**
+   * Close the range editor, stopping its preview.
+   */
+  function closeRangeEditor() {
+    if (!rangeEditor) return;
+    stopRangePreview();
+    rangeEditor.style.display = 'none';
+  }
+
+  /**
+   * Play the selected range through the speaker (not recorded).
+   */
+  function startRangePreview() {
+    if (!audioPlayer.src || isRecording) return;
+    audioPlayer.muted = false;
+    audioPlayer.currentTime = songRange.start;
+    audioPlayer.play().catch(() => {});
+    rangePreviewing = true;
+    rangePreviewBtn.textContent = 'Stop';
+  }
+
+  /**
+   * Stop the range preview if it is playing.
+   */
+  function stopRangePreview() {
+    if (!rangePreviewing) return;
+    rangePreviewing = false;
+    audioPlayer.pause();
+    if (rangePreviewBtn) rangePreviewBtn.textContent = 'Écouter';
+  }
+
+  /**
+   * Move the handle closest to the pointer to the pointer position. The
+   * range is kept at least one second long.
+   * @param {PointerEvent} e
+   * @param {'start'|'end'} handle
+   */
+  function dragRangeHandle(e, handle) {
+    const duration = audioPlayer.duration || 0;
+    if (!duration) return;
+    const rect = waveformContainer.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const time = fraction * duration;
+    if (handle === 'start') {
+      songRange.start = Math.min(time, songRangeEnd() - 1);
+      songRange.start = Math.max(0, songRange.start);
+    } else {
+      const end = Math.max(time, songRange.start + 1);
+      songRange.end = end >= duration - 0.05 ? null : end;
+    }
+    drawRangeEditor();
+  }
+
+  /**
+   * Create or resume the audio context of the countdown beeps. Browsers
+   * only let audio start from a user gesture, and the countdown runs after
+   * awaits, so this is called from the tap that starts or resumes a take.
+   */
+  function unlockBeeps() {
+    if (!settings.protocol.beeps) return;
+    if (!beepContext) beepContext = new (window.AudioContext || window.webkitAudioContext)();
+    beepContext.resume().catch(() => {});
+  }
+
+  /**
+   * Display a countdown overlay for the specified number of seconds
+   * (rounded to whole seconds). Returns a promise that resolves when the
+   * countdown completes, or early when countdownStop is called.
+   * @param {number} seconds
+   * @param {boolean} [beeps] beep each second (see unlockBeeps)
+   * @returns {Promise<void>}
+   */
+  function runCountdown(seconds, beeps = false) {
+    seconds = Math.round(seconds);
+    if (!(seconds > 0)) return Promise.resolve();
+    // The beeps stop with the countdown so none ends up in the take
+    const beeper = beeps ? beepContext : null;
+    const beep = () => {
+      if (!beeper) return;
+      const oscillator = beeper.createOscillator();
+      const gain = beeper.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.3, beeper.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, beeper.currentTime + 0.1);
+      oscillator.connect(gain);
+      gain.connect(beeper.destination);
+      oscillator.start();
+      oscillator.stop(beeper.currentTime + 0.1);
+    };
+    return new Promise((resolve) => {
+      let n = seconds;
+      const finish = () => {
+        clearInterval(interval);
+        countdownStop = null;
+        countdownOverlay.style.display = 'none';
+        if (beeper) beeper.suspend().catch(() => {});
+        resolve();
+      };
+      countdownOverlay.style.display = 'flex';
+      countdownOverlay.textContent = n.toString();
+      beep();
+      const interval = setInterval(() => {
+        n -= 1;
+        if (n > 0) {
+          countdownOverlay.textContent = n.toString();
+          beep();
+        } else {
+          finish();
+        }
+      }, 1000);
+      countdownStop = finish;
+    });
+  }
+
+  /**
+   * Start playback of the selected song and adjust gain nodes so that only
+   * the music is included in the recorded audio. Also sets up a timer to
+   * update the display and stops the recording when the song ends.
+   */
+  function startSong() {
+    if (overdubBase) {
+      startBacking();
+      return;
+    }
+    if (!audioPlayer.src) return;
+    // Move both audio elements to the in-point and unmute the user's player
+    audioPlayer.currentTime = songRange.start;
+    // Unmute the audio element now that playback should be audible
+    audioPlayer.muted = false;
+    if (songClone) seekWhenReady(songClone, songRange.start);
+    // We are now recording the song: fade the mic out (unless in duet mode)
+    recordingSource = 'song';
+    applyMix(settings.mix.fadeMs / 1000);
+    songStartedAt = recordingElapsed();
+    logSourceSwitch();
+    // Start playback for the recording clone. The user's audio element is
+    // already playing (triggered at the start of recording), so we only
+    // need to start the clone if it exists.
+    if (songClone) {
+      songClone.play().catch((err) => console.warn('Erreur lecture (enregistrement) :', err));
+    }
+    songPlaying = true;
+    updateSongTimer();
+    if (timerInterval) clearInterval(timerInterval);
+    timerInterval = setInterval(updateSongTimer, 500);
+    // Stop recording automatically when the song finishes (use the user's audio element)
+    audioPlayer.onended = () => {
+      if (isRecording) {
+        stopRecording();
+      }
+    };
+    // Enable the toggle button during music playback. In duet mode both
+    // sources are always recorded, so there is nothing to toggle.
+    toggleSourceBtn.disabled = settings.mix.mode === 'duet';
+    // Show the music icon and hide the mic icon
+    if (micIcon) micIcon.style.display = 'none';
+    if (noteToggleIcon) noteToggleIcon.style.display = 'block';
+  }
+
+  /**
+   * Begin a new recording following the fixed protocol. First records
+   * ambient mic audio, then after a delay and countdown switches to the
+   * selected song. Sets up the audio graph for cross‑fading.
+   */
+  async function startRecording() {
+    // The previous take still owns the audio graph and recorder until
+    // handleStop has cleaned them up
+    if (isRecording || takeFinishing) return;
+    // Tapping again while waiting for the hands-free start cancels it
+    if (triggerWait) {
+      triggerWait.cancel();
+      return;
+    }
+    // Same during the countdown, before anything is captured
+    if (takeStarting) {
+      takeStarting.cancelled = true;
+      if (countdownStop) countdownStop();
+      return;
+    }
+    if (!cameraStream) {
+      alert('La caméra n\'est pas disponible.');
+      return;
+    }
+    if (!audioPlayer.src && !overdubBase) {
+      alert('Veuillez d\'abord sélectionner une chanson.');
+      return;
+    }
+    // Prime the song playback during the countdown. Playing the audio element
     // while muted ensures browsers (particularly Safari) consider the playback
     // to be user‑initiated. We reset the currentTime and mute the element
     // so it is inaudible during the countdown. When the song starts, it will
     // be unmuted in startSong().
-    audioPlayer.currentTime = 0;
-    audioPlayer.muted = true;
-    audioPlayer.play().catch(() => {});
-    // Show countdown overlay for 3 seconds before starting any capture
-    await runCountdown(3);
+    stopRangePreview();
+    closeRangeEditor();
+    if (overdubBase) {
+      // Same for the take sung over, which is played instead of the song
+      overdubVideo.muted = true;
+      overdubVideo
+        .play()
+        .then(() => overdubVideo.pause())
+        .catch(() => {});
+    } else {
+      audioPlayer.currentTime = songRange.start;
+      audioPlayer.muted = true;
+      audioPlayer.play().catch(() => {});
+    }
+    const protocol = settings.protocol;
+    const starting = { cancelled: false };
+    takeStarting = starting;
+    try {
+      if (protocol.trigger !== 'off') {
+        const started = await awaitTrigger(protocol.trigger);
+        if (started) {
+          // The primed song went on playing while we waited
+          audioPlayer.currentTime = songRange.start;
+        } else {
+          starting.cancelled = true;
+        }
+      }
+      if (!starting.cancelled) recordingLatencyMs = await routeLatency();
+      // Show the countdown overlay before starting any capture
+      if (!starting.cancelled) await runCountdown(Number(protocol.countdown) || 0, protocol.beeps);
+    } finally {
+      takeStarting = null;
+    }
+    if (starting.cancelled) {
+      audioPlayer.pause();
+      return;
+    }
     // Reset state
     recordedChunks = [];
     recordingStartTime = Date.now();
+    recordingEndTime = null;
+    pausedAt = null;
+    pausedTime = 0;
     recordingSource = 'mic';
+    sourceSwitches = [{ time: 0, source: 'mic' }];
+    songStartedAt = 0;
     // Show that we are currently recording the mic by updating the toggle icons
     if (micIcon) micIcon.style.display = 'block';
     if (noteToggleIcon) noteToggleIcon.style.display = 'none';
@@ -303,14 +1776,20 @@
     const micStream = new MediaStream(cameraStream.getAudioTracks());
     microSource = audioContext.createMediaStreamSource(micStream);
     microGain = audioContext.createGain();
-    microGain.gain.value = 1;
-    microSource.connect(microGain);
+    vocalChain = CralkVocals.createChain(audioContext, {
+      highpass: settings.audio.highpass,
+      compressor: settings.audio.compressor,
+      reverb: Number(settings.audio.reverb) || 0,
+    });
+    microSource.connect(vocalChain.input);
+    vocalChain.output.connect(microGain);
     // Song source from the audio element
     // Create a fresh clone of the selected song for recording. This avoids
     // attempting to connect the same HTMLAudioElement to multiple
     // AudioContexts, which is not allowed in Safari. The clone is not
     // attached to the DOM and is solely used for recording.
-    songClone = new Audio(audioPlayer.src || '');
+    // In overdub mode the take sung over plays that part.
+    songClone = overdubBase ? overdubVideo : new Audio(audioPlayer.src || '');
     songClone.preload = 'auto';
     try {
       songSource = audioContext.createMediaElementSource(songClone);
@@ -319,43 +1798,82 @@
       songSource = null;
     }
     songGain = audioContext.createGain();
-    songGain.gain.value = 0; // muted initially
+    // The mic reaches us later than the performer hears the song: delay
+    // the song by the measured round trip so both line up in the take
+    songDelay = audioContext.createDelay(1);
+    songDelay.delayTime.value = Math.min(1, recordingLatencyMs / 1000);
+    songDelay.connect(songGain);
+    // Initial levels: mic only until the song starts (both in duet mode)
+    applyMix(0);
     if (songSource) {
-      songSource.connect(songGain);
+      songSource.connect(songDelay);
+      // There is no audible player for a take sung over: the performer
+      // hears it from the graph
+      if (overdubBase) songSource.connect(audioContext.destination);
     }
     // Combine both gains into a destination for the recorder
     destinationNode = audioContext.createMediaStreamDestination();
     microGain.connect(destinationNode);
     songGain.connect(destinationNode);
-    // Construct combined stream from camera video and processed audio
+    startMeters(micStream.getAudioTracks()[0]);
+    // Construct combined stream from camera video (through the compositor
+    // when overlays are enabled) and processed audio
+    const videoStream = startCompositor() || cameraStream;
     const combinedStream = new MediaStream([
-      ...cameraStream.getVideoTracks(),
+      ...videoStream.getVideoTracks(),
       ...destinationNode.stream.getAudioTracks(),
     ]);
+    const recorderMimeType = pickRecorderMimeType();
     try {
-      mediaRecorder = new MediaRecorder(combinedStream, {
-        mimeType: 'video/webm;codecs=vp8,opus',
-      });
+      mediaRecorder = recorderMimeType
+        ? new MediaRecorder(combinedStream, { mimeType: recorderMimeType })
+        : new MediaRecorder(combinedStream);
     } catch (e) {
       mediaRecorder = new MediaRecorder(combinedStream);
     }
     mediaRecorder.ondataavailable = (e) => {
-      if (e.data && e.data.size > 0) recordedChunks.push(e.data);
+      if (e.data && e.data.size > 0) {
+        recordedChunks.push(e.data);
+        savePendingChunk('video', e.data);
+      }
+    };
+    mediaRecorder.onstop = () => {
+      handleStop()
+        .catch((err) => console.error('Erreur lors de la finalisation de la prise :', err))
+        .finally(() => {
+          takeFinishing = false;
+          recordButton.disabled = !selectedFile && !overdubBase;
+        });
     };
-    mediaRecorder.onstop = handleStop;
-    mediaRecorder.start();
+    // The recorder stops by itself after an error; clean up around it
+    mediaRecorder.onerror = (e) => interruptRecording(`Erreur de l'enregistreur : ${e.error || e}`);
+    startPendingTake(mediaRecorder.mimeType || recorderMimeType || 'video/webm');
+    mediaRecorder.start(RECORDER_TIMESLICE_MS);
+    startMicRecorder();
+    cameraStream.getTracks().forEach((track) => track.addEventListener('ended', handleTrackEnded));
     isRecording = true;
     // Update UI
     recordButton.classList.add('recording');
     fileInput.disabled = true;
+    if (chooseSongBtn) chooseSongBtn.disabled = true;
+    if (rangeBtn) rangeBtn.disabled = true;
+    if (lyricsBtn) lyricsBtn.disabled = true;
+    if (dualBtn) dualBtn.disabled = true;
+    if (dualStopBtn) dualStopBtn.disabled = true;
+    // The file picker would send the app to the background and end the take
+    if (dualImportBtn) dualImportBtn.disabled = true;
     toggleSourceBtn.disabled = true;
-    // Immediately start the song once the recording begins. The countdown
-    // duration is not captured in the final video. By calling startSong()
-    // here, the music will begin at the same time as the recording and
-    // the microphone is muted. The toggle button can then be used to
-    // switch between mic and song without needing to manually start the
-    // music.
-    startSong();
+    playDualVideo(true, true);
+    showPauseButton(true);
+    showMixFaders(true);
+    scheduleMaxTake();
+    // Start the song once the recording begins, or after the mic-only
+    // pre-roll. The countdown duration is not captured in the final video.
+    // The toggle button can then be used to switch between mic and song
+    // without needing to manually start the music.
+    const preRoll = Number(protocol.preRoll) || 0;
+    if (preRoll > 0) startPreRoll(preRoll);
+    else startSong();
   }
 
   /**
@@ -371,6 +1889,18 @@
       clearInterval(timerInterval);
       timerInterval = null;
     }
+    if (preRollTimer) {
+      clearInterval(preRollTimer);
+      preRollTimer = null;
+    }
+    if (maxTakeTimer) {
+      clearTimeout(maxTakeTimer);
+      maxTakeTimer = null;
+    }
+    // Freeze the take length; a take stopped while paused ends at the pause
+    recordingEndTime = pausedAt || Date.now();
+    pausedAt = null;
+    showPauseButton(false);
     // Stop music playback and reset
     audioPlayer.pause();
     audioPlayer.currentTime = 0;
@@ -385,409 +1915,3884 @@
     }
     // Disable toggle while finalising
     toggleSourceBtn.disabled = true;
+    showMixFaders(false);
+    stopMeters();
     // Reset record button
     recordButton.classList.remove('recording');
     fileInput.disabled = false;
+    if (chooseSongBtn) chooseSongBtn.disabled = false;
+    if (rangeBtn) rangeBtn.disabled = !selectedFile;
+    if (lyricsBtn) lyricsBtn.disabled = !selectedFile;
+    if (dualBtn) dualBtn.disabled = false;
+    if (dualStopBtn) dualStopBtn.disabled = false;
+    if (dualImportBtn) dualImportBtn.disabled = false;
+    playDualVideo(false, true);
     // Stop MediaRecorder; handleStop will be invoked automatically
+    if (micRecorder && micRecorder.state !== 'inactive') {
+      micRecorder.stop();
+    }
     if (mediaRecorder && mediaRecorder.state !== 'inactive') {
       mediaRecorder.stop();
+      takeFinishing = true;
+      recordButton.disabled = true;
     }
     isRecording = false;
   }
 
+  // ----- Recording protocol -----
+
   /**
-   * Handle the completion of a recording: assemble recorded chunks into a
-   * Blob, create a video element for playback, add metadata (name and
-   * duration), and insert it into the gallery. Also enforce a maximum
-   * number of saved recordings and switch the view to the gallery.
+   * Stop the take when it reaches the maximum length of the protocol,
+   * counting from what has been recorded so far (pauses excluded).
    */
-  function handleStop() {
-    const blob = new Blob(recordedChunks, {
-      type: mediaRecorder && mediaRecorder.mimeType ? mediaRecorder.mimeType : 'video/webm',
-    });
-    const url = URL.createObjectURL(blob);
-    // Compute duration based on recording start time
-    const durationSec = Math.round((Date.now() - recordingStartTime) / 1000);
-    // Add to our recordings list for modal navigation
-    const recIndex = recordingsList.length;
-    recordingsList.push({ url, fileName: selectedFileName, duration: durationSec });
-    // Create grid item with preview and overlay
-    const item = document.createElement('div');
-    item.classList.add('recording-item');
-    const preview = document.createElement('video');
-    preview.src = url;
-    preview.muted = true;
-    preview.playsInline = true;
-    preview.loop = true;
-    preview.preload = 'metadata';
-    preview.classList.add('preview-video');
-    item.appendChild(preview);
-    const overlay = document.createElement('div');
-    overlay.classList.add('recording-info-overlay');
-    overlay.textContent = `${selectedFileName} — ${formatTime(durationSec)}`;
-    item.appendChild(overlay);
-    // Start playing the preview silently once it's loaded
-    preview.addEventListener('loadeddata', () => {
-      preview.play().catch(() => {});
-    });
-    // When the item is tapped, open the modal at this recording's index
-    item.addEventListener('click', (e) => {
-      // Ignore clicks on download links (if any)
-      if (e.target.tagName === 'A') return;
-      openModal(recIndex);
-    });
-    recordingsContainer.appendChild(item);
-    // Limit to 10 recordings in the gallery
-    while (recordingsContainer.children.length > 10) {
-      // Remove the first child and revoke its URL
-      const child = recordingsContainer.firstChild;
-      const videoEl = child.querySelector('video');
-      if (videoEl && videoEl.src) {
-        URL.revokeObjectURL(videoEl.src);
-      }
-      recordingsContainer.removeChild(child);
-      // Also remove from recordingsList
-      recordingsList.shift();
+  function scheduleMaxTake() {
+    if (maxTakeTimer) clearTimeout(maxTakeTimer);
+    maxTakeTimer = null;
+    const maxTake = Number(settings.protocol.maxTake) || 0;
+    if (maxTake > 0) {
+      maxTakeTimer = setTimeout(stopRecording, Math.max(0, maxTake - recordingElapsed()) * 1000);
     }
-    // Immediately show and then hide the gallery to refresh layout
-    showGallery();
-    showRecorder();
+  }
 
-    // Cleanup audio context and sources so a new recording can start
-    try {
-      if (microSource) microSource.disconnect();
-      if (songSource) songSource.disconnect();
-      if (microGain) microGain.disconnect();
-      if (songGain) songGain.disconnect();
-    } catch (e) {
-      console.warn('Erreur lors du nettoyage des graphes audio :', e);
-    }
-    if (audioContext) {
-      audioContext.close().catch(() => {});
-      audioContext = null;
-    }
-    microSource = null;
-    songSource = null;
-    microGain = null;
-    songGain = null;
-    destinationNode = null;
-    mediaRecorder = null;
-    // Reset song state
-    songPlaying = false;
-    updateSongTimer();
+  /**
+   * Record the mic alone for `seconds`, counting down in the song timer,
+   * then start the song.
+   * @param {number} seconds
+   */
+  function startPreRoll(seconds) {
+    const update = () => {
+      const remaining = seconds - recordingElapsed();
+      if (remaining > 0) {
+        songTimer.textContent = `-${formatTime(Math.ceil(remaining))}`;
+        songTimer.style.display = 'block';
+        return;
+      }
+      clearInterval(preRollTimer);
+      preRollTimer = null;
+      startSong();
+    };
+    preRollTimer = setInterval(update, 250);
+    update();
+  }
 
-    // Release the recording clone so a new one can be created on next recording
-    songClone = null;
+  /**
+   * Wait for the hands-free start, showing what to do. The record button
+   * stays armed until then; tapping it again cancels.
+   * @param {'voice'|'clap'} kind
+   * @returns {Promise<boolean>} false when cancelled
+   */
+  async function awaitTrigger(kind) {
+    recordButton.classList.add('armed');
+    countdownOverlay.classList.add('waiting');
+    countdownOverlay.textContent =
+      kind === 'clap' ? 'Tapez dans vos mains pour commencer' : 'Chantez pour commencer';
+    countdownOverlay.style.display = 'flex';
+    triggerWait = listenForTrigger(kind);
+    const started = await triggerWait.promise;
+    triggerWait = null;
+    recordButton.classList.remove('armed');
+    countdownOverlay.classList.remove('waiting');
+    countdownOverlay.style.display = 'none';
+    return started;
+  }
 
-    // Reset toggle button icons to microphone by default for the next recording
-    if (micIcon) micIcon.style.display = 'block';
-    if (noteToggleIcon) noteToggleIcon.style.display = 'none';
+  /**
+   * Listen to the mic for a voice held for a moment, or a clap: a sudden
+   * peak well above the level of the room.
+   * @param {'voice'|'clap'} kind
+   * @returns {{promise: Promise<boolean>, cancel: () => void}} the promise
+   *   resolves with true when triggered, false when cancelled
+   */
+  function listenForTrigger(kind) {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 1024;
+    ctx.createMediaStreamSource(new MediaStream(cameraStream.getAudioTracks())).connect(analyser);
+    const data = new Float32Array(analyser.fftSize);
+    let frame = null;
+    let loudSince = null;
+    let roomLevel = VOICE_LEVEL;
+    let finish;
+    const promise = new Promise((resolve) => {
+      finish = (triggered) => {
+        if (!frame) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+        ctx.close().catch(() => {});
+        resolve(triggered);
+      };
+    });
+    const check = () => {
+      analyser.getFloatTimeDomainData(data);
+      let sum = 0;
+      let peak = 0;
+      for (let i = 0; i < data.length; i++) {
+        sum += data[i] * data[i];
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+      const rms = Math.sqrt(sum / data.length);
+      const now = performance.now();
+      if (kind === 'clap') {
+        if (peak > CLAP_PEAK && peak > roomLevel * CLAP_RATIO) return finish(true);
+        roomLevel = roomLevel * 0.95 + rms * 0.05;
+      } else if (rms > VOICE_LEVEL) {
+        if (loudSince === null) loudSince = now;
+        if (now - loudSince >= VOICE_HOLD_MS) return finish(true);
+      } else {
+        loudSince = null;
+      }
+      frame = requestAnimationFrame(check);
+    };
+    frame = requestAnimationFrame(check);
+    return { promise, cancel: () => finish(false) };
+  }
+
+  /**
+   * Read the saved protocol presets.
+   * @returns {{name: string, protocol: Object}[]}
+   */
+  function loadProtocolPresets() {
+    try {
+      const presets = JSON.parse(localStorage.getItem(PROTOCOL_PRESETS_KEY));
+      if (Array.isArray(presets)) return presets;
+    } catch (_) {
+      // ignore corrupt or unavailable storage
+    }
+    return [];
+  }
+
+  /**
+   * Store the protocol presets.
+   * @param {{name: string, protocol: Object}[]} presets
+   */
+  function saveProtocolPresets(presets) {
+    try {
+      localStorage.setItem(PROTOCOL_PRESETS_KEY, JSON.stringify(presets));
+    } catch (err) {
+      console.warn('Impossible d\'enregistrer les préréglages :', err);
+    }
+  }
+
+  /**
+   * Fill the preset picker, selecting `selected` when given.
+   * @param {string} [selected]
+   */
+  function renderProtocolPresets(selected = '') {
+    if (!protocolPresetSelect) return;
+    protocolPresetSelect.innerHTML = '';
+    protocolPresetSelect.appendChild(new Option('Préréglages…', ''));
+    loadProtocolPresets().forEach((preset) => {
+      protocolPresetSelect.appendChild(new Option(preset.name, preset.name));
+    });
+    protocolPresetSelect.value = selected;
+    protocolDeleteBtn.disabled = !selected;
+  }
+
+  /**
+   * Show the current protocol in the editor fields.
+   */
+  function refreshProtocolFields() {
+    PROTOCOL_FIELDS.forEach(([id, key]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      if (input.type === 'checkbox') input.checked = !!settings.protocol[key];
+      else input.value = settings.protocol[key];
+    });
+  }
+
+  /**
+   * Save the current protocol under a name, replacing a preset of the same
+   * name.
+   */
+  function saveProtocolPreset() {
+    const name = (prompt('Nom du préréglage :') || '').trim();
+    if (!name) return;
+    const presets = loadProtocolPresets().filter((preset) => preset.name !== name);
+    presets.push({ name, protocol: Object.assign({}, settings.protocol) });
+    saveProtocolPresets(presets);
+    renderProtocolPresets(name);
+  }
+
+  /**
+   * Make a saved preset the current protocol.
+   * @param {string} name
+   */
+  function applyProtocolPreset(name) {
+    const preset = loadProtocolPresets().find((item) => item.name === name);
+    protocolDeleteBtn.disabled = !preset;
+    if (!preset) return;
+    settings.protocol = Object.assign({}, DEFAULT_SETTINGS.protocol, preset.protocol);
+    saveSettings();
+    refreshProtocolFields();
+  }
+
+  /**
+   * Delete the selected preset after confirmation. The current protocol
+   * is kept.
+   */
+  function deleteProtocolPreset() {
+    const name = protocolPresetSelect.value;
+    if (!name || !confirm(`Supprimer le préréglage « ${name} » ?`)) return;
+    saveProtocolPresets(loadProtocolPresets().filter((preset) => preset.name !== name));
+    renderProtocolPresets();
+  }
+
+  /**
+   * Seconds recorded in the current take: the time since it started, minus
+   * the pauses. Stands still while paused and once the take is stopped.
+   * @returns {number}
+   */
+  function recordingElapsed() {
+    const now = pausedAt || recordingEndTime || Date.now();
+    return (now - recordingStartTime - pausedTime) / 1000;
+  }
+
+  // ----- Crash recovery -----
+
+  /**
+   * Register the take starting now in IndexedDB, with what is needed to
+   * rebuild it, so its chunks can be saved as they arrive. Storage errors
+   * only disable recovery.
+   * @param {string} mimeType of the video chunks
+   */
+  function startPendingTake(mimeType) {
+    const meta = {
+      startedAt: Date.now(),
+      mimeType,
+      fileName: selectedFileName,
+      songKey: selectedSongKey,
+      songOffset: songRange.start,
+      songEnd: songRange.end,
+      mix: Object.assign({}, settings.mix),
+      latencyMs: recordingLatencyMs,
+      switches: sourceSwitches.slice(),
+      songStart: songStartedAt,
+    };
+    const ready = CralkStorage.addPendingTake(meta)
+      .then((id) => {
+        meta.id = id;
+        return id;
+      })
+      .catch((err) => {
+        console.warn('Sauvegarde au fil de l\'eau indisponible :', err);
+        return null;
+      });
+    pendingTake = { meta, ready, writes: ready };
+  }
+
+  /**
+   * Queue a write on the current pending take, after the previous ones so
+   * chunks keep their order.
+   * @param {(id: number) => Promise<any>} write
+   */
+  function queuePendingWrite(write) {
+    const take = pendingTake;
+    if (!take) return;
+    take.writes = take.writes
+      .then(() => take.ready)
+      .then((id) => id && write(id))
+      .catch((err) => console.warn('Erreur de sauvegarde de la prise en cours :', err));
+  }
+
+  /**
+   * Save a recorded chunk of the current take.
+   * @param {'video'|'mic'} track
+   * @param {Blob} blob
+   */
+  function savePendingChunk(track, blob) {
+    const elapsed = recordingElapsed();
+    queuePendingWrite((takeId) => CralkStorage.addChunk({ takeId, track, blob, elapsed }));
+  }
+
+  /**
+   * Save the switch log and song start of the current take.
+   */
+  function updatePendingTake() {
+    if (!pendingTake) return;
+    const meta = pendingTake.meta;
+    meta.switches = sourceSwitches.slice();
+    meta.songStart = songStartedAt;
+    queuePendingWrite(() => CralkStorage.putPendingTake(meta));
+  }
+
+  /**
+   * Drop the saved chunks of the finished take once it is stored as a
+   * recording. If storing it failed they are kept for recovery.
+   * @param {Object} rec entry of recordingsList
+   */
+  function finishPendingTake(rec) {
+    const take = pendingTake;
+    pendingTake = null;
+    if (!take) return;
+    Promise.all([take.writes, rec.saving])
+      .then(() => take.ready)
+      .then((id) => {
+        if (id && rec.id !== null) return CralkStorage.deletePendingTake(id);
+      })
+      .catch((err) => console.warn('Erreur lors du nettoyage de la prise :', err));
+  }
+
+  /**
+   * Finish the take early when it cannot go on (recorder error, camera or
+   * mic taken away, app sent to the background): what was recorded so far
+   * is saved as usual.
+   * @param {string} reason logged
+   */
+  function interruptRecording(reason) {
+    if (!isRecording) return;
+    console.warn('Prise interrompue :', reason);
+    stopRecording();
+  }
+
+  /**
+   * A camera or mic track ended (another app took it, device unplugged…).
+   */
+  function handleTrackEnded() {
+    interruptRecording('piste caméra ou micro arrêtée');
+  }
+
+  /**
+   * Offer to recover the takes that were being recorded when the app was
+   * killed. Each one is rebuilt from its chunks and added to the gallery,
+   * or discarded.
+   * @returns {Promise<void>}
+   */
+  async function recoverPendingTakes() {
+    let takes;
+    try {
+      takes = await CralkStorage.getPendingTakes();
+    } catch (_) {
+      return;
+    }
+    for (const pending of takes) {
+      try {
+        const chunks = await CralkStorage.getChunks(pending.id);
+        const video = chunks.filter((chunk) => chunk.track === 'video');
+        const mic = chunks.filter((chunk) => chunk.track === 'mic');
+        const duration = Math.round(video.reduce((max, chunk) => Math.max(max, chunk.elapsed || 0), 0));
+        const when = new Date(pending.startedAt).toLocaleString('fr-FR');
+        if (
+          video.length &&
+          confirm(
+            `Une prise interrompue (${pending.fileName || 'sans chanson'}, ${when}, ${formatTime(duration)}) a été retrouvée. La récupérer dans la galerie ?`
+          )
+        ) {
+          const take = {
+            blob: new Blob(video.map((chunk) => chunk.blob), { type: pending.mimeType }),
+            fileName: pending.fileName,
+            duration,
+            date: pending.startedAt,
+            switches: pending.switches,
+            micBlob: mic.length ? new Blob(mic.map((chunk) => chunk.blob), { type: mic[0].blob.type }) : null,
+            songStart: pending.songStart,
+            songOffset: pending.songOffset,
+            songEnd: pending.songEnd,
+            mix: pending.mix,
+            latencyMs: pending.latencyMs,
+          };
+          const song = findSong(pending.songKey);
+          if (song) {
+            Object.assign(take, {
+              songKey: song.key,
+              title: song.title,
+              artist: song.artist,
+              album: song.album,
+              cover: song.cover,
+              takeNumber: nextTakeNumber(song.key),
+            });
+          }
+          const rec = addRecordingEntry(take);
+          await rec.saving;
+          if (rec.id === null) continue;
+        }
+        await CralkStorage.deletePendingTake(pending.id);
+      } catch (err) {
+        console.warn('Impossible de récupérer une prise interrompue :', err);
+      }
+    }
+  }
+
+  // ----- Pause and resume -----
+
+  /**
+   * Show or hide the pause button, in its "pause" state.
+   * @param {boolean} visible
+   */
+  function showPauseButton(visible) {
+    if (!pauseButton) return;
+    pauseButton.style.display = visible ? 'flex' : 'none';
+    pauseButton.classList.remove('paused');
+    pauseButton.title = 'Pause';
+  }
+
+  /**
+   * Pause the take: both recorders, the song heard by the singer and the
+   * recorded copy stop together, and so does the take clock.
+   */
+  function pauseRecording() {
+    if (!isRecording || pausedAt || resumingTake) return;
+    pausedAt = Date.now();
+    if (mediaRecorder && mediaRecorder.state === 'recording') mediaRecorder.pause();
+    if (micRecorder && micRecorder.state === 'recording') micRecorder.pause();
+    audioPlayer.pause();
+    if (songClone) songClone.pause();
+    playDualVideo(false);
+    if (maxTakeTimer) {
+      clearTimeout(maxTakeTimer);
+      maxTakeTimer = null;
+    }
     toggleSourceBtn.disabled = true;
+    pauseButton.classList.add('paused');
+    pauseButton.title = 'Reprendre';
+  }
+
+  /**
+   * Resume a paused take after a short countdown. The recorded copy of the
+   * song is lined up on the one heard so both restart where they stopped.
+   * @returns {Promise<void>}
+   */
+  async function resumeRecording() {
+    if (!isRecording || !pausedAt || resumingTake) return;
+    resumingTake = true;
+    await runCountdown(RESUME_COUNTDOWN, settings.protocol.beeps);
+    resumingTake = false;
+    // The take may have been stopped during the countdown
+    if (!isRecording || !pausedAt) return;
+    pausedTime += Date.now() - pausedAt;
+    pausedAt = null;
+    if (mediaRecorder && mediaRecorder.state === 'paused') mediaRecorder.resume();
+    if (micRecorder && micRecorder.state === 'paused') micRecorder.resume();
+    // Before the song starts the player is kept playing muted (see
+    // startRecording), so it is resumed in any case. It is left alone in
+    // overdub mode, where the take sung over is heard from the graph.
+    if (!overdubBase) audioPlayer.play().catch(() => {});
+    if (songPlaying && songClone) {
+      if (!overdubBase) songClone.currentTime = audioPlayer.currentTime;
+      songClone.play().catch((err) => console.warn('Erreur lecture (enregistrement) :', err));
+    }
+    playDualVideo(true);
+    scheduleMaxTake();
+    toggleSourceBtn.disabled = !songPlaying || settings.mix.mode === 'duet' || !!overdubBase;
+    pauseButton.classList.remove('paused');
+    pauseButton.title = 'Pause';
+  }
+
+  /**
+   * Add the current source to the switch log of the take.
+   */
+  function logSourceSwitch() {
+    sourceSwitches.push({ time: recordingElapsed(), source: recordingSource });
+    updatePendingTake();
+  }
+
+  /**
+   * Record the microphone on its own, next to the mixed take, so the
+   * switches can be re-rendered later. It is taken after the vocal chain so
+   * re-rendered takes sound the same. Failure only disables that feature.
+   */
+  function startMicRecorder() {
+    micChunks = [];
+    micRecorder = null;
+    micRecorderDone = null;
+    try {
+      const micTap = audioContext.createMediaStreamDestination();
+      vocalChain.output.connect(micTap);
+      const mimeType = pickRecorderMimeType(MIC_MIME_TYPES);
+      micRecorder = mimeType
+        ? new MediaRecorder(micTap.stream, { mimeType })
+        : new MediaRecorder(micTap.stream);
+    } catch (err) {
+      console.warn('Enregistrement de la piste micro impossible :', err);
+      micRecorder = null;
+      return;
+    }
+    const recorder = micRecorder;
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) {
+        micChunks.push(e.data);
+        savePendingChunk('mic', e.data);
+      }
+    };
+    micRecorderDone = new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(micChunks, { type: recorder.mimeType || 'audio/webm' }));
+      recorder.onerror = () => resolve(null);
+    });
+    recorder.start(RECORDER_TIMESLICE_MS);
+  }
+
+  /**
+   * Create the gallery grid item for a recording (thumbnail, name/duration
+   * overlay, share, menu and pin buttons) and append it to the gallery.
+   * The element is kept on the entry so it can be removed later.
+   * @param {Object} rec entry of recordingsList
+   */
+  function renderRecordingItem(rec) {
+    const item = document.createElement('div');
+    item.classList.add('recording-item');
+    item.classList.toggle('pinned', !!rec.pinned);
+    const thumb = document.createElement('img');
+    thumb.classList.add('preview-thumb');
+    thumb.alt = '';
+    item.appendChild(thumb);
+    const overlay = document.createElement('div');
+    overlay.classList.add('recording-info-overlay');
+    if (rec.cover) {
+      rec.coverUrl = URL.createObjectURL(rec.cover);
+      const cover = document.createElement('img');
+      cover.classList.add('recording-cover');
+      cover.src = rec.coverUrl;
+      cover.alt = '';
+      overlay.appendChild(cover);
+    }
+    const label = document.createElement('span');
+    label.classList.add('recording-label');
+    label.textContent = `${recordingTitle(rec)} — ${formatTime(rec.duration)}`;
+    overlay.appendChild(label);
+    item.appendChild(overlay);
+    // Star button: pinned recordings are never evicted by the retention policy
+    const pinBtn = document.createElement('button');
+    pinBtn.classList.add('pin-btn');
+    pinBtn.title = 'Épingler';
+    pinBtn.innerHTML =
+      '<svg class="icon star-icon" viewBox="0 0 24 24" width="18" height="18">' +
+      '<path d="M12 3l2.7 5.6 6.1.9-4.4 4.3 1 6.1L12 17l-5.4 2.9 1-6.1-4.4-4.3 6.1-.9z" fill="currentColor" />' +
+      '</svg>';
+    pinBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      togglePinned(rec);
+    });
+    item.appendChild(pinBtn);
+    const shareBtn = document.createElement('button');
+    shareBtn.classList.add('share-btn');
+    shareBtn.title = 'Partager';
+    shareBtn.innerHTML =
+      '<svg class="icon share-icon" viewBox="0 0 24 24" width="18" height="18">' +
+      '<path d="M12 15V4" stroke="currentColor" stroke-width="2" stroke-linecap="round" />' +
+      '<path d="M8 8l4-4 4 4" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />' +
+      '<path d="M6 11v8h12v-8" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round" />' +
+      '</svg>';
+    shareBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      shareRecordings([rec]);
+    });
+    item.appendChild(shareBtn);
+    const moreBtn = document.createElement('button');
+    moreBtn.classList.add('more-btn');
+    moreBtn.title = 'Actions';
+    moreBtn.textContent = '⋯';
+    moreBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleItemMenu(rec);
+    });
+    item.appendChild(moreBtn);
+    // When the item is tapped, open the modal at this recording's current
+    // index (or select it in selection mode). The index is looked up at
+    // click time because evictions shift the list.
+    item.addEventListener('click', () => {
+      if (gallerySelection) toggleSelected(rec);
+      else openModal(recordingsList.indexOf(rec));
+    });
+    rec.element = item;
+    recordingsContainer.appendChild(item);
+    if (rec.thumbnail) showThumbnail(rec);
+    else queueThumbnail(rec);
+  }
+
+  /**
+   * Display name of a take: the name given by the user, else "Artist -
+   * Title (take N)" when the song had tags or a usable file name, the
+   * song's file name otherwise.
+   * @param {Object} rec entry of recordingsList
+   * @returns {string}
+   */
+  function recordingTitle(rec) {
+    if (rec.name) return rec.name;
+    if (!rec.title) return rec.fileName;
+    const name = rec.artist ? `${rec.artist} - ${rec.title}` : rec.title;
+    return rec.takeNumber ? `${name} (take ${rec.takeNumber})` : name;
+  }
+
+  /**
+   * Number of the next take of a song: one more than the highest number
+   * among the takes of that song still in the gallery.
+   * @param {string} songKey
+   * @returns {number}
+   */
+  function nextTakeNumber(songKey) {
+    return (
+      recordingsList
+        .filter((rec) => rec.songKey === songKey)
+        .reduce((max, rec) => Math.max(max, rec.takeNumber || 0), 0) + 1
+    );
+  }
+
+  /**
+   * Build the object written to IndexedDB for a recording entry.
+   * @param {Object} rec entry of recordingsList
+   * @returns {Object}
+   */
+  function toStoredRecording(rec) {
+    const record = {
+      blob: rec.blob,
+      fileName: rec.fileName,
+      duration: rec.duration,
+      date: rec.date,
+      mimeType: rec.mimeType,
+      pinned: !!rec.pinned,
+    };
+    TAKE_FIELDS.forEach((field) => {
+      if (rec[field] !== undefined && rec[field] !== null) record[field] = rec[field];
+    });
+    if (rec.id !== null && rec.id !== undefined) record.id = rec.id;
+    return record;
+  }
+
+  /**
+   * Add a new take to recordingsList and the gallery, save it and apply
+   * the retention policy. Dates are kept unique, as they identify takes in
+   * the URL of the modal (see MODAL_HASH): takes added in the same
+   * millisecond, like the two halves of a split, are moved apart.
+   * @param {Object} fields blob, fileName, duration and take data (see TAKE_FIELDS)
+   * @returns {Object} the new entry
+   */
+  function addRecordingEntry(fields) {
+    const rec = Object.assign(
+      {
+        id: null,
+        url: URL.createObjectURL(fields.blob),
+        date: Date.now(),
+        mimeType: fields.blob.type,
+        pinned: false,
+      },
+      fields
+    );
+    while (recordingsList.some((other) => other.date === rec.date)) rec.date += 1;
+    recordingsList.push(rec);
+    renderRecordingItem(rec);
+    renderGallery();
+    saveRecording(rec);
+    // Check the retention limits once the new take is stored, so it can be
+    // deleted if it is the one to go
+    rec.saving.then(() => enforceRetention());
+    return rec;
+  }
+
+  /**
+   * Write a recording to IndexedDB. The promise is kept on the entry so a
+   * deletion issued before the write completes still finds the key.
+   * @param {Object} rec entry of recordingsList
+   */
+  function saveRecording(rec) {
+    rec.saving = CralkStorage.addRecording(toStoredRecording(rec))
+      .then((id) => {
+        rec.id = id;
+      })
+      .catch((err) => {
+        console.error('Erreur lors de la sauvegarde de l\'enregistrement :', err);
+        alert("L'enregistrement n'a pas pu être sauvegardé sur l'appareil. Téléchargez-le avant de quitter l'application.");
+      });
+  }
+
+  /**
+   * Persist changes made to the metadata of an already saved recording.
+   * @param {Object} rec entry of recordingsList
+   */
+  function updateRecording(rec) {
+    (rec.saving || Promise.resolve())
+      .then(() => {
+        if (rec.id !== null && rec.id !== undefined) {
+          return CralkStorage.putRecording(toStoredRecording(rec));
+        }
+        return undefined;
+      })
+      .catch((err) => console.warn('Erreur lors de la mise à jour de l\'enregistrement :', err));
+  }
+
+  /**
+   * Remove a recording from IndexedDB (the DOM and recordingsList are
+   * handled by the caller).
+   * @param {Object} rec entry of recordingsList
+   */
+  function forgetRecording(rec) {
+    if (!rec) return;
+    (rec.saving || Promise.resolve())
+      .then(() => {
+        if (rec.id !== null && rec.id !== undefined) {
+          return CralkStorage.deleteRecording(rec.id);
+        }
+        return undefined;
+      })
+      .catch((err) => console.warn('Erreur lors de la suppression de l\'enregistrement :', err));
+  }
+
+  /**
+   * Remove a single recording everywhere: gallery item, object URL,
+   * recordingsList and IndexedDB. Closes the modal if it shows this take.
+   * @param {Object} rec entry of recordingsList
+   */
+  function removeRecording(rec) {
+    const index = recordingsList.indexOf(rec);
+    if (index === -1) return;
+    if (currentModalIndex !== null) {
+      if (currentModalIndex === index) {
+        closeModal();
+      } else if (currentModalIndex > index) {
+        currentModalIndex -= 1;
+      }
+    }
+    recordingsList.splice(index, 1);
+    if (rec === overdubBase) exitOverdub();
+    if (gallerySelection && gallerySelection.delete(rec)) updateSelectionBar();
+    if (rec.element && rec.element.parentNode) {
+      rec.element.parentNode.removeChild(rec.element);
+    }
+    URL.revokeObjectURL(rec.url);
+    if (rec.coverUrl) URL.revokeObjectURL(rec.coverUrl);
+    if (rec.thumbUrl) URL.revokeObjectURL(rec.thumbUrl);
+    forgetRecording(rec);
+  }
+
+  /**
+   * Pin or unpin a recording. Pinned recordings are skipped by the
+   * retention policy.
+   * @param {Object} rec entry of recordingsList
+   */
+  function togglePinned(rec) {
+    rec.pinned = !rec.pinned;
+    if (rec.element) rec.element.classList.toggle('pinned', rec.pinned);
+    updateRecording(rec);
+  }
+
+  /**
+   * Remove every recording from the gallery, the in-memory list and
+   * IndexedDB, revoking their object URLs.
+   */
+  function clearAllRecordings() {
+    if (currentModalIndex !== null) closeModal();
+    if (overdubBase) exitOverdub();
+    if (gallerySelection) setSelectionMode(false);
+    while (recordingsContainer.firstChild) {
+      recordingsContainer.removeChild(recordingsContainer.firstChild);
+    }
+    recordingsList.forEach((rec) => {
+      URL.revokeObjectURL(rec.url);
+      if (rec.coverUrl) URL.revokeObjectURL(rec.coverUrl);
+      if (rec.thumbUrl) URL.revokeObjectURL(rec.thumbUrl);
+    });
+    // Wait for pending writes so they are not re-added after the clear
+    const pending = recordingsList.map((rec) => rec.saving);
+    recordingsList.splice(0, recordingsList.length);
+    Promise.all(pending)
+      .then(() => CralkStorage.clearRecordings())
+      .catch((err) => console.warn('Erreur lors de l\'effacement des enregistrements :', err));
+  }
+
+  /**
+   * Rebuild recordingsList and the gallery from the recordings saved in
+   * IndexedDB during previous sessions.
+   * @returns {Promise<void>}
+   */
+  async function restoreRecordings() {
+    let records;
+    try {
+      records = await CralkStorage.getAllRecordings();
+    } catch (err) {
+      console.warn('Impossible de charger les enregistrements sauvegardés :', err);
+      return;
+    }
+    records.forEach((record) => {
+      const rec = {
+        id: record.id,
+        url: URL.createObjectURL(record.blob),
+        blob: record.blob,
+        fileName: record.fileName,
+        duration: record.duration,
+        date: record.date,
+        mimeType: record.mimeType || record.blob.type,
+        pinned: !!record.pinned,
+      };
+      TAKE_FIELDS.forEach((field) => {
+        if (record[field] !== undefined) rec[field] = record[field];
+      });
+      // Takes saved with the same date by older versions are moved apart
+      if (recordingsList.some((other) => other.date === rec.date)) {
+        while (recordingsList.some((other) => other.date === rec.date)) rec.date += 1;
+        updateRecording(rec);
+      }
+      recordingsList.push(rec);
+      renderRecordingItem(rec);
+    });
+    renderGallery();
+  }
+
+  // ----- Gallery -----
+
+  /**
+   * Queue the making of a take's thumbnail after the ones already queued,
+   * so takes are not all decoded at once.
+   * @param {Object} rec entry of recordingsList
+   */
+  function queueThumbnail(rec) {
+    thumbnailQueue = thumbnailQueue
+      .then(() => createThumbnail(rec))
+      .catch((err) => console.warn('Miniature impossible :', err));
+  }
+
+  /**
+   * Grab a frame near the start of a take into a JPEG thumbnail, show it
+   * and save it with the take so it is made only once.
+   * @param {Object} rec entry of recordingsList
+   * @returns {Promise<void>}
+   */
+  async function createThumbnail(rec) {
+    if (!recordingsList.includes(rec)) return;
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    try {
+      // Give up on this take rather than hold up the thumbnails queued after it
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Chargement de la vidéo trop long')), THUMBNAIL_LOAD_MS);
+        video.onloadeddata = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        video.onerror = () => {
+          clearTimeout(timer);
+          reject(new Error('Lecture de la vidéo impossible'));
+        };
+        video.src = rec.url;
+      });
+      const duration = rec.duration || (isFinite(video.duration) ? video.duration : 0);
+      const time = Math.min(THUMBNAIL_TIME, duration / 2);
+      if (time > 0) {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, THUMBNAIL_SEEK_MS);
+          video.addEventListener(
+            'seeked',
+            () => {
+              clearTimeout(timer);
+              resolve();
+            },
+            { once: true }
+          );
+          video.currentTime = time;
+        });
+      }
+      const width = video.videoWidth || THUMBNAIL_WIDTH;
+      const height = video.videoHeight || THUMBNAIL_WIDTH;
+      const scale = Math.min(1, THUMBNAIL_WIDTH / width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+      if (!blob || !recordingsList.includes(rec)) return;
+      rec.thumbnail = blob;
+      showThumbnail(rec);
+      updateRecording(rec);
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+
+  /**
+   * Show the saved thumbnail of a take in its gallery item.
+   * @param {Object} rec entry of recordingsList
+   */
+  function showThumbnail(rec) {
+    if (!rec.element || !rec.thumbnail) return;
+    if (rec.thumbUrl) URL.revokeObjectURL(rec.thumbUrl);
+    rec.thumbUrl = URL.createObjectURL(rec.thumbnail);
+    rec.element.querySelector('.preview-thumb').src = rec.thumbUrl;
+  }
+
+  /**
+   * Whether a take passes the gallery filters: the search text on its
+   * name and song, and the period or length picked.
+   * @param {Object} rec entry of recordingsList
+   * @param {string} query from searchText()
+   * @param {string} filter value of the filter picker
+   * @returns {boolean}
+   */
+  function matchesGalleryFilter(rec, query, filter) {
+    const text = searchText([recordingTitle(rec), rec.fileName, rec.artist, rec.album].join(' '));
+    if (query && !text.includes(query)) return false;
+    const day = 24 * 60 * 60 * 1000;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    switch (filter) {
+      case 'today':
+        return rec.date >= today.getTime();
+      case 'week':
+        return rec.date >= Date.now() - 7 * day;
+      case 'month':
+        return rec.date >= Date.now() - 30 * day;
+      case 'short':
+        return (rec.duration || 0) < 60;
+      case 'long':
+        return (rec.duration || 0) >= 60;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Sort takes for the gallery. 'song' groups the takes of a song in take
+   * order; ties keep the recording order.
+   * @param {Object[]} recs entries of recordingsList
+   * @param {string} sort 'date-asc', 'date-desc', 'song', 'duration-asc'
+   *   or 'duration-desc'
+   * @returns {Object[]} a sorted copy
+   */
+  function sortRecordings(recs, sort) {
+    const compare = {
+      'date-asc': (a, b) => a.date - b.date,
+      'date-desc': (a, b) => b.date - a.date,
+      song: (a, b) =>
+        searchText(a.title || a.fileName).localeCompare(searchText(b.title || b.fileName)) ||
+        (a.takeNumber || 0) - (b.takeNumber || 0) ||
+        a.date - b.date,
+      'duration-asc': (a, b) => (a.duration || 0) - (b.duration || 0),
+      'duration-desc': (a, b) => (b.duration || 0) - (a.duration || 0),
+    }[sort];
+    return compare ? recs.slice().sort(compare) : recs.slice();
+  }
+
+  /**
+   * Order the gallery items as sorted and hide the takes filtered out.
+   * recordingsList keeps the recording order, so indices stay valid.
+   */
+  function renderGallery() {
+    const shown = new Set(shownRecordings());
+    sortRecordings(recordingsList, settings.gallery.sort).forEach((rec) => {
+      if (!rec.element) return;
+      rec.element.style.display = shown.has(rec) ? '' : 'none';
+      recordingsContainer.appendChild(rec.element);
+    });
+  }
+
+  /**
+   * Takes as the gallery shows them: sorted, without the ones filtered out.
+   * The modal browses them in this order.
+   * @returns {Object[]}
+   */
+  function shownRecordings() {
+    const query = searchText(gallerySearch ? gallerySearch.value : '');
+    const filter = galleryFilter ? galleryFilter.value : 'all';
+    return sortRecordings(recordingsList, settings.gallery.sort).filter((rec) =>
+      matchesGalleryFilter(rec, query, filter)
+    );
+  }
+
+  /**
+   * Show or hide the actions of one take over its gallery item; only one
+   * item shows them at a time.
+   * @param {Object} rec entry of recordingsList
+   */
+  function toggleItemMenu(rec) {
+    const open = rec.element.querySelector('.item-menu');
+    recordingsContainer.querySelectorAll('.item-menu').forEach((menu) => menu.remove());
+    if (open) return;
+    const menu = document.createElement('div');
+    menu.className = 'item-menu';
+    [
+      ['Renommer', () => renameRecording(rec)],
+      ['Télécharger', () => downloadRecording(rec)],
+      ['Supprimer', () => deleteRecordings([rec])],
+      ['Fermer', () => {}],
+    ].forEach(([text, action]) => {
+      const button = document.createElement('button');
+      button.className = 'range-action';
+      button.textContent = text;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.remove();
+        action();
+      });
+      menu.appendChild(button);
+    });
+    menu.addEventListener('click', (e) => e.stopPropagation());
+    rec.element.appendChild(menu);
+  }
+
+  /**
+   * Give a take a name of its own, shown in place of the song name and
+   * used for exported files. An empty name goes back to the song name.
+   * @param {Object} rec entry of recordingsList
+   */
+  function renameRecording(rec) {
+    const name = prompt('Nom de la prise :', recordingTitle(rec));
+    if (name === null) return;
+    rec.name = name.trim() || undefined;
+    const label = rec.element && rec.element.querySelector('.recording-label');
+    if (label) label.textContent = `${recordingTitle(rec)} — ${formatTime(rec.duration)}`;
+    updateRecording(rec);
+    renderGallery();
+  }
+
+  /**
+   * Download one take as a file (converted like exports).
+   * @param {Object} rec entry of recordingsList
+   * @returns {Promise<void>}
+   */
+  async function downloadRecording(rec) {
+    const file = await exportRecording(rec);
+    downloadBlob(file.blob, file.fileName);
+  }
+
+  /**
+   * Delete takes after confirmation. Each goes through removeRecording,
+   * which keeps the modal index in step with recordingsList.
+   * @param {Object[]} recs entries of recordingsList
+   */
+  function deleteRecordings(recs) {
+    if (!recs.length) return;
+    const question =
+      recs.length === 1
+        ? `Supprimer « ${recordingTitle(recs[0])} » ?`
+        : `Supprimer ces ${recs.length} vidéos ?`;
+    if (!confirm(question)) return;
+    recs.forEach(removeRecording);
+  }
+
+  /**
+   * Enter or leave selection mode, where tapping a take selects it.
+   * @param {boolean} on
+   */
+  function setSelectionMode(on) {
+    gallerySelection = on ? new Set() : null;
+    recordingsList.forEach((rec) => {
+      if (rec.element) rec.element.classList.remove('selected');
+    });
+    gallerySelectBtn.textContent = on ? 'Annuler' : 'Sélectionner';
+    gallerySelectionBar.style.display = on ? 'flex' : 'none';
+    updateSelectionBar();
+  }
+
+  /**
+   * Select or unselect a take in selection mode.
+   * @param {Object} rec entry of recordingsList
+   */
+  function toggleSelected(rec) {
+    if (!gallerySelection) return;
+    if (gallerySelection.has(rec)) gallerySelection.delete(rec);
+    else gallerySelection.add(rec);
+    rec.element.classList.toggle('selected', gallerySelection.has(rec));
+    updateSelectionBar();
+  }
+
+  /**
+   * Select every take shown by the current filters.
+   */
+  function selectAllShown() {
+    if (!gallerySelection) return;
+    recordingsList.forEach((rec) => {
+      if (!rec.element || rec.element.style.display === 'none') return;
+      gallerySelection.add(rec);
+      rec.element.classList.add('selected');
+    });
+    updateSelectionBar();
+  }
+
+  /**
+   * Show how many takes are selected and enable the actions on them.
+   */
+  function updateSelectionBar() {
+    if (!gallerySelection) return;
+    const count = gallerySelection.size;
+    gallerySelectionCount.textContent = `${count} sélectionnée(s)`;
+    [selectionDownloadBtn, selectionShareBtn, selectionDeleteBtn].forEach((button) => {
+      button.disabled = count === 0;
+    });
+  }
+
+  /**
+   * Selected takes, in recording order.
+   * @returns {Object[]}
+   */
+  function selectedRecordings() {
+    return gallerySelection ? recordingsList.filter((rec) => gallerySelection.has(rec)) : [];
+  }
+
+  // ----- Export -----
+
+  /**
+   * Build a download file name for a recording: its display name for
+   * renamed takes and songs with tags, otherwise from its song file name
+   * and date.
+   * @param {Object} rec entry of recordingsList
+   * @param {string} extension without the dot
+   * @returns {string}
+   */
+  function recordingFileName(rec, extension) {
+    if (rec.title || rec.name) {
+      const name = recordingTitle(rec).replace(/[\\/:*?"<>|]+/g, '').trim();
+      if (name) return `${name}.${extension}`;
+    }
+    const song = (rec.fileName || 'video')
+      .replace(/\.[^.]+$/, '')
+      .replace(/[\\/:*?"<>|]+/g, '')
+      .trim();
+    return `cralk-${song || 'video'}-${fileDateStamp(new Date(rec.date))}.${extension}`;
+  }
+
+  /**
+   * Format a date for use in file names (YYYY-MM-DD_HH-MM-SS).
+   * @param {Date} d
+   * @returns {string}
+   */
+  function fileDateStamp(d) {
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+  }
+
+  /**
+   * Produce the file to export for a recording. WebM takes are converted
+   * to MP4 on the device when the export format asks for it and the
+   * conversion is possible; otherwise the original file is returned. The
+   * converted file is cached on the entry for the session, and so is a
+   * failure, so it is neither tried again nor reported again for the take.
+   * @param {Object} rec entry of recordingsList
+   * @returns {Promise<{blob: Blob, fileName: string, mimeType: string}>}
+   */
+  async function exportRecording(rec) {
+    let blob = rec.blob;
+    if (settings.export.format === 'mp4' && CralkRemux.isWebM(rec.blob)) {
+      if (!rec.exportBlob && !rec.exportFailed) {
+        try {
+          showBusy('Conversion en MP4…');
+          rec.exportBlob = await CralkRemux.toMp4(rec.blob, {
+            onProgress: (fraction) => showBusy(`Conversion en MP4… ${Math.round(fraction * 100)} %`),
+          });
+        } catch (err) {
+          console.warn('Conversion MP4 impossible, export en WebM :', err);
+          rec.exportBlob = null;
+        } finally {
+          hideBusy();
+        }
+        if (!rec.exportBlob) {
+          rec.exportFailed = true;
+          alert(`« ${recordingTitle(rec)} » n'a pas pu être converti en MP4 sur cet appareil : la vidéo est exportée en WebM.`);
+        }
+      }
+      if (rec.exportBlob) blob = rec.exportBlob;
+    }
+    const mimeType = blob.type || rec.mimeType;
+    return { blob, fileName: recordingFileName(rec, fileExtensionForMime(mimeType)), mimeType };
+  }
+
+  /**
+   * Trigger the download of a blob through a temporary link.
+   * @param {Blob} blob
+   * @param {string} fileName
+   */
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    try {
+      a.click();
+    } catch (err) {
+      console.warn('Erreur lors du clic de téléchargement :', err);
+    }
+    document.body.removeChild(a);
+    // Give the browser time to start reading the file before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  /**
+   * Make a file name unique within an archive by appending " (2)", " (3)"…
+   * before the extension.
+   * @param {string} name
+   * @param {Set<string>} used names already taken; updated
+   * @returns {string}
+   */
+  function uniqueFileName(name, used) {
+    let candidate = name;
+    let n = 2;
+    while (used.has(candidate)) {
+      candidate = name.replace(/(\.[^.]+)?$/, (ext) => ` (${n})${ext}`);
+      n += 1;
+    }
+    used.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Pack recordings into a single ZIP file with a manifest.json describing
+   * them, and download it. When `offerToClear` is set, the user is then
+   * asked whether to remove them from the gallery; nothing is removed
+   * until they confirm the archive was saved.
+   * @param {Object[]} recs entries of recordingsList
+   * @param {boolean} [offerToClear]
+   * @returns {Promise<void>}
+   */
+  async function downloadRecordingsAsZip(recs, offerToClear = false) {
+    if (recs.length === 0) return;
+    const entries = [];
+    const used = new Set(['manifest.json']);
+    const manifest = { app: 'CRALK', createdAt: new Date().toISOString(), recordings: [] };
+    let archive;
+    try {
+      for (const rec of recs) {
+        const file = await exportRecording(rec);
+        const name = uniqueFileName(file.fileName, used);
+        entries.push({ name, data: file.blob, date: new Date(rec.date) });
+        manifest.recordings.push({
+          file: name,
+          song: rec.fileName,
+          title: rec.title || '',
+          artist: rec.artist || '',
+          album: rec.album || '',
+          name: rec.name || '',
+          take: rec.takeNumber || null,
+          duration: rec.duration,
+          date: new Date(rec.date).toISOString(),
+          mimeType: file.mimeType,
+          size: file.blob.size,
+          pinned: !!rec.pinned,
+        });
+      }
+      entries.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+      showBusy('Création de l’archive…');
+      archive = await CralkZip.createZip(entries, {
+        onProgress: (fraction) => showBusy(`Création de l’archive… ${Math.round(fraction * 100)} %`),
+      });
+    } catch (err) {
+      console.error('Erreur lors de la création de l\'archive :', err);
+      alert("Impossible de créer l'archive ZIP : " + err.message);
+      return;
+    } finally {
+      hideBusy();
+    }
+    downloadBlob(archive, `cralk-${fileDateStamp(new Date())}.zip`);
+    if (!offerToClear) return;
+    // Leave the browser time to show its download prompt before asking
+    setTimeout(() => {
+      const ok = confirm(
+        `L'archive contenant ${recs.length} vidéo(s) a-t-elle bien été enregistrée ?\n\nOK : effacer ces vidéos de la galerie.\nAnnuler : les conserver.`
+      );
+      if (ok) recs.forEach(removeRecording);
+    }, 1500);
+  }
+
+  // ----- Sharing -----
+
+  /**
+   * Title and text for the share sheet, taken from the song name and
+   * duration of the recordings.
+   * @param {Object[]} recs entries of recordingsList
+   * @returns {{title: string, text: string}}
+   */
+  function shareTextFor(recs) {
+    if (recs.length === 1) {
+      const rec = recs[0];
+      return { title: recordingTitle(rec), text: `${recordingTitle(rec)} — ${formatTime(rec.duration)}` };
+    }
+    return {
+      title: `CRALK — ${recs.length} vidéos`,
+      text: recs.map((rec) => `${recordingTitle(rec)} — ${formatTime(rec.duration)}`).join('\n'),
+    };
+  }
+
+  /**
+   * Share recordings through the Web Share API as file attachments. Falls
+   * back to downloading them (a ZIP for several) when the browser cannot
+   * share files.
+   * @param {Object[]} recs entries of recordingsList
+   * @returns {Promise<void>}
+   */
+  async function shareRecordings(recs) {
+    if (recs.length === 0) return;
+    const files = [];
+    for (const rec of recs) {
+      const file = await exportRecording(rec);
+      files.push(new File([file.blob], file.fileName, { type: file.mimeType }));
+    }
+    const fallback = () => {
+      if (files.length === 1) {
+        downloadBlob(files[0], files[0].name);
+      } else {
+        downloadRecordingsAsZip(recs);
+      }
+    };
+    if (!navigator.share || !navigator.canShare || !navigator.canShare({ files })) {
+      fallback();
+      return;
+    }
+    try {
+      await navigator.share(Object.assign({ files }, shareTextFor(recs)));
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      if (err.name === 'NotAllowedError') {
+        // The MP4 conversion took longer than the user gesture allows. The
+        // converted file is cached, so a second tap shares immediately.
+        alert('La vidéo est prête. Appuyez de nouveau sur Partager.');
+        return;
+      }
+      console.warn('Erreur lors du partage :', err);
+      fallback();
+    }
+  }
+
+  // ----- Retention policy -----
+
+  /**
+   * Bytes a recording takes in IndexedDB: its video and every file stored
+   * with it, i.e. what deleting it frees. The song library and takes being
+   * recorded are not counted, as eviction cannot free them.
+   * @param {Object} rec entry of recordingsList
+   * @returns {number}
+   */
+  function storedSize(rec) {
+    return Object.values(toStoredRecording(rec)).reduce(
+      (sum, value) => sum + (value instanceof Blob ? value.size : 0),
+      0
+    );
+  }
+
+  /**
+   * Work out which recordings the retention policy would drop. Only
+   * unpinned recordings are candidates, oldest first.
+   * @returns {Promise<Object[]>}
+   */
+  async function recordingsOverRetention() {
+    const retention = settings.retention;
+    const candidates = recordingsList.filter((rec) => !rec.pinned);
+    if (retention.mode === 'count') {
+      const excess = recordingsList.length - retention.maxCount;
+      return candidates.slice(0, Math.max(0, excess));
+    }
+    if (retention.mode === 'storage') {
+      const limit = retention.maxStorageMB * 1024 * 1024;
+      let usage = recordingsList.reduce((sum, rec) => sum + storedSize(rec), 0);
+      const evicted = [];
+      for (const rec of candidates) {
+        if (usage <= limit) break;
+        evicted.push(rec);
+        usage -= storedSize(rec);
+      }
+      return evicted;
+    }
+    // 'all': keep everything
+    return [];
+  }
+
+  /**
+   * Apply the retention policy. Nothing is removed without the user's
+   * confirmation; if they decline, the gallery simply stays over the limit
+   * until the next check.
+   * @returns {Promise<void>}
+   */
+  async function enforceRetention() {
+    const evicted = await recordingsOverRetention();
+    if (evicted.length === 0) return;
+    const names = evicted
+      .map((rec) => `• ${recordingTitle(rec)} — ${formatTime(rec.duration)}`)
+      .join('\n');
+    const ok = confirm(
+      `La limite de la galerie est atteinte. Supprimer ${evicted.length} enregistrement(s) parmi les plus anciens ?\n\n${names}\n\nÉpinglez une vidéo pour la conserver.`
+    );
+    if (!ok) return;
+    evicted.forEach(removeRecording);
+  }
+
+  /**
+   * Handle the completion of a recording: assemble recorded chunks into a
+   * Blob, create a video element for playback, add metadata (name and
+   * duration), and insert it into the gallery. Also applies the retention
+   * policy and switches the view to the gallery. The switch log, raw mic
+   * and song data are kept with the take for later re-rendering; an overdub
+   * keeps its layers instead (see overdubTake).
+   */
+  async function handleStop() {
+    const blob = new Blob(recordedChunks, {
+      type: mediaRecorder && mediaRecorder.mimeType ? mediaRecorder.mimeType : 'video/webm',
+    });
+    // Compute duration based on recording start time
+    const durationSec = Math.round(recordingElapsed());
+    const take = overdubBase
+      ? overdubTake(blob, durationSec)
+      : {
+          blob,
+          fileName: selectedFileName,
+          duration: durationSec,
+          switches: sourceSwitches,
+          songStart: songStartedAt,
+          songOffset: songRange.start,
+          songEnd: songRange.end,
+          mix: Object.assign({}, settings.mix),
+          latencyMs: recordingLatencyMs,
+        };
+    if (currentSong && !overdubBase) {
+      Object.assign(take, {
+        songKey: currentSong.key,
+        title: currentSong.title,
+        artist: currentSong.artist,
+        album: currentSong.album,
+        cover: currentSong.cover,
+        takeNumber: nextTakeNumber(currentSong.key),
+      });
+    }
+    // Library songs are found again by key; keep a copy of the others
+    if (!overdubBase && !(take.songKey && findSong(take.songKey))) take.songBlob = selectedFile;
+    // The mic recorder was stopped first; wait for its last chunk
+    take.micBlob = micRecorderDone ? await micRecorderDone : null;
+    micRecorder = null;
+    micRecorderDone = null;
+    micChunks = [];
+    // Add to our recordings list for modal navigation
+    const rec = addRecordingEntry(take);
+    finishPendingTake(rec);
+    // Get the next queued song ready for the following take
+    if (!overdubBase) advanceQueue();
+    // Immediately show and then hide the gallery to refresh layout
+    showGallery();
+    showRecorder();
+
+    // Cleanup audio context and sources so a new recording can start
+    try {
+      if (microSource) microSource.disconnect();
+      if (vocalChain) vocalChain.output.disconnect();
+      if (songSource) songSource.disconnect();
+      if (songDelay) songDelay.disconnect();
+      if (microGain) microGain.disconnect();
+      if (songGain) songGain.disconnect();
+    } catch (e) {
+      console.warn('Erreur lors du nettoyage des graphes audio :', e);
+    }
+    if (audioContext) {
+      audioContext.close().catch(() => {});
+      audioContext = null;
+    }
+    microSource = null;
+    vocalChain = null;
+    songSource = null;
+    microGain = null;
+    songGain = null;
+    songDelay = null;
+    if (compositor) {
+      compositor.stop();
+      compositor = null;
+    }
+    destinationNode = null;
+    mediaRecorder = null;
+    // Reset song state
+    songPlaying = false;
+    updateSongTimer();
+
+    // Release the recording clone so a new one can be created on next recording
+    songClone = null;
+    // The take sung over needs a new element too, as its source node
+    // belonged to the closed context
+    if (overdubBase) {
+      if (recordingsList.includes(overdubBase)) prepareOverdubVideo();
+      else exitOverdub();
+    }
+
+    // Reset toggle button icons to microphone by default for the next recording
+    if (micIcon) micIcon.style.display = 'block';
+    if (noteToggleIcon) noteToggleIcon.style.display = 'none';
+    toggleSourceBtn.disabled = true;
+
+    // Ensure the camera preview resumes displaying the video feed after a recording.
+    // Without this, some devices may stop rendering the preview until the
+    // MediaStream is reattached. Reassigning the stream and calling play
+    // ensures the user sees the live camera again.
+    if (cameraStream) {
+      cameraPreview.srcObject = cameraStream;
+      try {
+        cameraPreview.play();
+      } catch (_) {
+        // ignore play errors (may occur if not allowed)
+      }
+    }
+  }
+
+  // ----- Camera controls -----
+
+  /**
+   * The camera's video track, if any.
+   * @returns {MediaStreamTrack|null}
+   */
+  function cameraTrack() {
+    return (cameraStream && cameraStream.getVideoTracks()[0]) || null;
+  }
+
+  /**
+   * Video constraints for getUserMedia from the camera settings.
+   * @returns {MediaTrackConstraints}
+   */
+  function videoConstraints() {
+    const size = CAMERA_RESOLUTIONS[settings.camera.resolution] || CAMERA_RESOLUTIONS[720];
+    const constraints = {
+      width: { ideal: size.width },
+      height: { ideal: size.height },
+      frameRate: { ideal: Number(settings.camera.fps) || 30 },
+    };
+    if (settings.camera.deviceId) constraints.deviceId = { exact: settings.camera.deviceId };
+    else constraints.facingMode = currentFacing;
+    return constraints;
+  }
+
+  /**
+   * Reset the zoom and torch for a new camera track and show the controls
+   * it supports. A camera picked by id tells which way it faces, which
+   * matters for mirroring.
+   */
+  function onCameraReady() {
+    const track = cameraTrack();
+    const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+    const trackSettings = track && track.getSettings ? track.getSettings() : {};
+    if (settings.camera.deviceId && trackSettings.facingMode) currentFacing = trackSettings.facingMode;
+    cameraZoom = capabilities.zoom ? trackSettings.zoom || capabilities.zoom.min : null;
+    torchOn = false;
+    if (torchBtn) {
+      torchBtn.style.display = capabilities.torch ? '' : 'none';
+      torchBtn.classList.remove('active');
+    }
+    applyEffects();
+    updateFrameGuide();
+  }
+
+  /**
+   * Apply a new resolution or frame rate to the running camera, keeping its
+   * zoom and torch. Restarts the camera when the browser refuses the
+   * change. Waits for the end of a take.
+   * @returns {Promise<void>}
+   */
+  async function applyCameraSettings() {
+    const track = cameraTrack();
+    if (!track || isRecording) return;
+    const { width, height, frameRate } = videoConstraints();
+    const advanced = [];
+    if (cameraZoom !== null) advanced.push({ zoom: cameraZoom });
+    if (torchOn) advanced.push({ torch: true });
+    try {
+      await track.applyConstraints({ width, height, frameRate, advanced });
+    } catch (err) {
+      console.warn('Réglages caméra refusés, redémarrage de la caméra :', err);
+      await initCamera(true);
+    }
+    updateFrameGuide();
+  }
+
+  /**
+   * Light or turn off the torch.
+   */
+  async function toggleTorch() {
+    const track = cameraTrack();
+    if (!track) return;
+    try {
+      await track.applyConstraints({ advanced: [{ torch: !torchOn }] });
+      torchOn = !torchOn;
+    } catch (err) {
+      console.warn('Impossible de commander la torche :', err);
+    }
+    torchBtn.classList.toggle('active', torchOn);
+  }
+
+  /**
+   * Zoom the camera, within what it supports. Changes arriving while one is
+   * being applied are merged into the next.
+   * @param {number} zoom
+   */
+  function setCameraZoom(zoom) {
+    const track = cameraTrack();
+    const range = track && track.getCapabilities ? track.getCapabilities().zoom : null;
+    if (!range) return;
+    cameraZoom = Math.min(range.max, Math.max(range.min, zoom));
+    showZoomIndicator();
+    if (zoomPending) return;
+    zoomPending = true;
+    const target = cameraZoom;
+    track
+      .applyConstraints({ advanced: [{ zoom: target }] })
+      .catch((err) => console.warn('Zoom refusé :', err))
+      .finally(() => {
+        zoomPending = false;
+        if (cameraZoom !== target) setCameraZoom(cameraZoom);
+      });
+  }
+
+  /**
+   * Show the zoom factor over the preview for a moment.
+   */
+  function showZoomIndicator() {
+    if (!zoomIndicator) return;
+    zoomIndicator.textContent = `${cameraZoom.toFixed(1)}×`;
+    zoomIndicator.style.display = 'block';
+    clearTimeout(zoomIndicatorTimer);
+    zoomIndicatorTimer = setTimeout(() => {
+      zoomIndicator.style.display = 'none';
+    }, 1000);
+  }
+
+  /**
+   * Distance between the first two touches of a touch event.
+   * @param {TouchEvent} e
+   * @returns {number}
+   */
+  function touchDistance(e) {
+    const [a, b] = e.touches;
+    return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+  }
+
+  /**
+   * Size of the recorded frame: the camera frame, cropped to the aspect
+   * ratio chosen in the settings. Even sizes keep video encoders happy.
+   * @returns {{width: number, height: number}}
+   */
+  function outputSize() {
+    const width = cameraPreview.videoWidth;
+    const height = cameraPreview.videoHeight;
+    const ratio = CAMERA_ASPECTS[settings.camera.aspect];
+    if (!ratio || !width || !height) return { width, height };
+    if (width / height > ratio) return { width: Math.round((height * ratio) / 2) * 2, height };
+    return { width, height: Math.round(width / ratio / 2) * 2 };
+  }
+
+  /**
+   * Outline the recorded area on the preview when the take is cropped. The
+   * preview covers the screen, so the camera frame is scaled the same way.
+   */
+  function updateFrameGuide() {
+    if (!frameGuide) return;
+    const videoWidth = cameraPreview.videoWidth;
+    const videoHeight = cameraPreview.videoHeight;
+    // The dual preview is already cropped to the recorded frame
+    if (!CAMERA_ASPECTS[settings.camera.aspect] || !videoWidth || !videoHeight || dualCamera) {
+      frameGuide.style.display = 'none';
+      return;
+    }
+    const scale = Math.max(window.innerWidth / videoWidth, window.innerHeight / videoHeight);
+    const { width, height } = outputSize();
+    frameGuide.style.width = `${width * scale}px`;
+    frameGuide.style.height = `${height * scale}px`;
+    frameGuide.style.display = 'block';
+  }
+
+  /**
+   * List the cameras in the settings (only useful beyond front and back)
+   * and disable the sizes and frame rates the current camera cannot do.
+   * @returns {Promise<void>}
+   */
+  async function refreshCameraFields() {
+    if (!cameraDeviceSelect) return;
+    const devices = navigator.mediaDevices && navigator.mediaDevices.enumerateDevices
+      ? (await navigator.mediaDevices.enumerateDevices().catch(() => [])).filter((d) => d.kind === 'videoinput')
+      : [];
+    cameraDeviceRow.style.display = devices.length > 2 ? '' : 'none';
+    cameraDeviceSelect.innerHTML = '';
+    cameraDeviceSelect.appendChild(new Option('Automatique (avant / arrière)', ''));
+    devices.forEach((device, index) => {
+      cameraDeviceSelect.appendChild(new Option(device.label || `Caméra ${index + 1}`, device.deviceId));
+    });
+    cameraDeviceSelect.value = devices.some((d) => d.deviceId === settings.camera.deviceId)
+      ? settings.camera.deviceId
+      : '';
+    const track = cameraTrack();
+    const capabilities = track && track.getCapabilities ? track.getCapabilities() : {};
+    Array.from(cameraResolutionSelect.options).forEach((option) => {
+      const size = CAMERA_RESOLUTIONS[option.value];
+      option.disabled = !!(
+        capabilities.width &&
+        capabilities.height &&
+        Math.max(capabilities.width.max, capabilities.height.max) < size.width
+      );
+    });
+    Array.from(cameraFpsSelect.options).forEach((option) => {
+      option.disabled = !!(capabilities.frameRate && capabilities.frameRate.max < Number(option.value));
+    });
+  }
+
+  // ----- Audio input -----
+
+  /**
+   * Audio constraints for getUserMedia from the mic settings.
+   * @returns {MediaTrackConstraints}
+   */
+  function audioConstraints() {
+    const { deviceId, echoCancellation, noiseSuppression, autoGainControl } = settings.audio;
+    const constraints = { echoCancellation, noiseSuppression, autoGainControl };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    return constraints;
+  }
+
+  /**
+   * Apply the voice processing switches to the running mic. Some browsers
+   * accept the constraints without changing anything, so the track settings
+   * are checked and the stream is requested again when they differ. Waits
+   * for the end of a take.
+   * @returns {Promise<void>}
+   */
+  async function applyAudioSettings() {
+    const track = cameraStream && cameraStream.getAudioTracks()[0];
+    if (!track || isRecording) return;
+    const { echoCancellation, noiseSuppression, autoGainControl } = audioConstraints();
+    await track.applyConstraints({ echoCancellation, noiseSuppression, autoGainControl }).catch(() => {});
+    const current = track.getSettings ? track.getSettings() : {};
+    const applied = ['echoCancellation', 'noiseSuppression', 'autoGainControl'].every(
+      (key) => current[key] === undefined || current[key] === settings.audio[key]
+    );
+    if (!applied) await initCamera(true);
+  }
+
+  /**
+   * List the audio inputs (built-in, headset, USB or Bluetooth mic) in the
+   * settings when there is more than one.
+   * @returns {Promise<void>}
+   */
+  async function refreshAudioFields() {
+    if (!audioDeviceSelect) return;
+    const devices = navigator.mediaDevices && navigator.mediaDevices.enumerateDevices
+      ? (await navigator.mediaDevices.enumerateDevices().catch(() => [])).filter((d) => d.kind === 'audioinput')
+      : [];
+    audioDeviceRow.style.display = devices.length > 1 ? '' : 'none';
+    audioDeviceSelect.innerHTML = '';
+    audioDeviceSelect.appendChild(new Option('Micro par défaut', ''));
+    devices
+      .filter((device) => device.deviceId && device.deviceId !== 'default')
+      .forEach((device, index) => {
+        audioDeviceSelect.appendChild(new Option(device.label || `Micro ${index + 1}`, device.deviceId));
+      });
+    audioDeviceSelect.value = devices.some((d) => d.deviceId === settings.audio.deviceId)
+      ? settings.audio.deviceId
+      : '';
+  }
+
+  // ----- Camera effects -----
+
+  /**
+   * Set up the effects renderer on the preview canvas, which then covers
+   * the camera video. Without WebGL the video stays the preview and the
+   * effects button is hidden.
+   */
+  function initEffects() {
+    if (effectsPreview) effects = CralkEffects.create(cameraPreview, effectsPreview);
+    if (!effects) {
+      if (effectsBtn) effectsBtn.style.display = 'none';
+      return;
+    }
+    CralkEffects.LOOKS.forEach((look) => {
+      const chip = document.createElement('button');
+      chip.className = 'effect-chip';
+      chip.dataset.look = look.id;
+      chip.textContent = look.label;
+      effectsLooks.appendChild(chip);
+    });
+    effectsPreview.style.display = 'block';
+    applyEffects();
+    effects.start();
+  }
+
+  /**
+   * Pass the effect settings to the renderer and highlight the selected
+   * chips. Takes effect on the next frame, also in the middle of a take.
+   */
+  function applyEffects() {
+    if (!effects) return;
+    const { look, smooth, vignette, grain, mirror } = settings.effects;
+    effects.set({ look, smooth, vignette, grain, mirror: mirror && currentFacing === 'user' });
+    effectsBar.querySelectorAll('[data-look]').forEach((chip) => {
+      chip.classList.toggle('active', chip.dataset.look === look);
+    });
+    effectsBar.querySelectorAll('[data-effect]').forEach((chip) => {
+      chip.classList.toggle('active', !!settings.effects[chip.dataset.effect]);
+    });
+  }
+
+  // ----- Dual camera -----
+
+  /**
+   * Show both cameras at once. The second camera is opened next to the
+   * running stream; when the device cannot film with both (the request
+   * fails, or the first camera stops), the second pane waits for a video
+   * imported by the user.
+   * @returns {Promise<void>}
+   */
+  async function startDualCamera() {
+    if (dualCamera || isRecording || !cameraStream) return;
+    const dual = { stream: null, video: null, url: null, layout: 'split', swapped: false, frame: null };
+    dualCamera = dual;
+    dualPreview.style.display = 'block';
+    dualBar.style.display = 'flex';
+    if (dualBtn) dualBtn.classList.add('active');
+    updateFrameGuide();
+    renderDualBar();
+    drawDualLoop();
+    try {
+      const facing = currentFacing === 'user' ? 'environment' : 'user';
+      dual.stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { exact: facing } },
+        audio: false,
+      });
+      // Some devices hand out the second camera but stop the first one
+      await new Promise((resolve) => setTimeout(resolve, DUAL_CHECK_MS));
+      const primary = cameraTrack();
+      if (!primary || primary.readyState === 'ended' || primary.muted) {
+        throw new Error('Capture simultanée non prise en charge');
+      }
+      if (dualCamera !== dual) {
+        dual.stream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = dual.stream;
+      video.play().catch(() => {});
+      dual.video = video;
+    } catch (err) {
+      console.warn('Double caméra indisponible :', err);
+      if (dual.stream) dual.stream.getTracks().forEach((track) => track.stop());
+      dual.stream = null;
+      const primary = cameraTrack();
+      if (!primary || primary.readyState === 'ended') await initCamera(true);
+    }
+    renderDualBar();
+  }
+
+  /**
+   * Leave dual mode. Not possible during a take, whose video is drawn from
+   * the dual preview.
+   */
+  function stopDualCamera() {
+    if (!dualCamera || isRecording) return;
+    releaseDualSource();
+    if (dualCamera.frame) cancelAnimationFrame(dualCamera.frame);
+    dualCamera = null;
+    dualPreview.style.display = 'none';
+    dualBar.style.display = 'none';
+    if (dualBtn) dualBtn.classList.remove('active');
+    updateFrameGuide();
+  }
+
+  /**
+   * Stop what fills the second pane: the second camera or imported video.
+   */
+  function releaseDualSource() {
+    const dual = dualCamera;
+    if (dual.stream) dual.stream.getTracks().forEach((track) => track.stop());
+    if (dual.video) {
+      dual.video.pause();
+      dual.video.removeAttribute('src');
+      dual.video.srcObject = null;
+    }
+    if (dual.url) URL.revokeObjectURL(dual.url);
+    dual.stream = null;
+    dual.video = null;
+    dual.url = null;
+  }
+
+  /**
+   * Fill the second pane with a video file, in place of the second camera.
+   * It plays from the start with each take.
+   * @param {File} file
+   */
+  function importDualVideo(file) {
+    if (!dualCamera || !file || isRecording) return;
+    releaseDualSource();
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    dualCamera.url = URL.createObjectURL(file);
+    video.src = dualCamera.url;
+    video.load();
+    dualCamera.video = video;
+    renderDualBar();
+  }
+
+  /**
+   * Play or pause the imported video of the second pane with the take.
+   * @param {boolean} play
+   * @param {boolean} [restart] go back to its start first
+   */
+  function playDualVideo(play, restart = false) {
+    const video = dualCamera && dualCamera.url ? dualCamera.video : null;
+    if (!video) return;
+    if (restart) video.currentTime = 0;
+    if (play) video.play().catch((err) => console.warn('Erreur lecture (second écran) :', err));
+    else video.pause();
+  }
+
+  /**
+   * Show what the second pane holds and the layout button for the other
+   * layout.
+   */
+  function renderDualBar() {
+    const dual = dualCamera;
+    if (!dual) return;
+    if (dual.stream) dualInfo.textContent = '';
+    else if (dual.url) dualInfo.textContent = 'Second écran : vidéo importée';
+    else dualInfo.textContent = 'Les deux caméras ne peuvent pas filmer ensemble : importez une vidéo.';
+    dualLayoutBtn.textContent = dual.layout === 'split' ? 'Incrustation' : 'Écran partagé';
+  }
+
+  /**
+   * Switch between split screen and picture-in-picture. Also during a take.
+   */
+  function toggleDualLayout() {
+    if (!dualCamera) return;
+    dualCamera.layout = dualCamera.layout === 'split' ? 'pip' : 'split';
+    renderDualBar();
+  }
+
+  /**
+   * Swap which pane is large (or first). Also during a take.
+   */
+  function swapDualPanes() {
+    if (!dualCamera) return;
+    dualCamera.swapped = !dualCamera.swapped;
+  }
+
+  /**
+   * Redraw the dual preview on every animation frame while dual mode is on.
+   */
+  function drawDualLoop() {
+    const dual = dualCamera;
+    if (!dual) return;
+    drawDualFrame(dual);
+    dual.frame = requestAnimationFrame(drawDualLoop);
+  }
+
+  /**
+   * Compose the two panes at the size of the recorded frame: one above the
+   * other (side by side in landscape), or the second one inset in the
+   * bottom right corner. The main camera goes through the effects.
+   * @param {Object} dual dualCamera
+   */
+  function drawDualFrame(dual) {
+    const { width, height } = outputSize();
+    if (width && height && (dualPreview.width !== width || dualPreview.height !== height)) {
+      dualPreview.width = width;
+      dualPreview.height = height;
+    }
+    const ctx = dualPreview.getContext('2d');
+    const w = dualPreview.width;
+    const h = dualPreview.height;
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, w, h);
+    const camera = effects ? effects.canvas : cameraPreview;
+    const second = dual.video && dual.video.readyState >= 2 ? dual.video : null;
+    if (!second) {
+      CralkCompositor.drawCover(ctx, camera, 0, 0, w, h);
+      return;
+    }
+    const [main, other] = dual.swapped ? [second, camera] : [camera, second];
+    if (dual.layout === 'split') {
+      if (h >= w) {
+        const half = Math.round(h / 2);
+        CralkCompositor.drawCover(ctx, main, 0, 0, w, half);
+        CralkCompositor.drawCover(ctx, other, 0, half, w, h - half);
+      } else {
+        const half = Math.round(w / 2);
+        CralkCompositor.drawCover(ctx, main, 0, 0, half, h);
+        CralkCompositor.drawCover(ctx, other, half, 0, w - half, h);
+      }
+      return;
+    }
+    CralkCompositor.drawCover(ctx, main, 0, 0, w, h);
+    const margin = Math.min(w, h) / 20;
+    const insetWidth = w * DUAL_INSET;
+    const insetHeight = insetWidth * (h / w);
+    const x = w - insetWidth - margin;
+    const y = h - insetHeight - margin * 4;
+    CralkCompositor.drawCover(ctx, other, x, y, insetWidth, insetHeight);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(2, margin / 8);
+    ctx.strokeRect(x, y, insetWidth, insetHeight);
+  }
+
+  // ----- Video overlays -----
+
+  /**
+   * Position of the song within the recorded range, from 0 to 1.
+   * @returns {number}
+   */
+  function songProgress() {
+    if (!songPlaying) return 0;
+    const length = songRangeEnd() - songRange.start;
+    return length > 0 ? (audioPlayer.currentTime - songRange.start) / length : 0;
+  }
+
+  /**
+   * Set up the canvas compositor with the overlays enabled in the settings
+   * and start it. With WebGL its source is the effects canvas, so the take
+   * is recorded with the effects and follows effect changes made while
+   * recording, and crops it to the chosen aspect ratio. Returns null
+   * (record the camera directly) when there are neither effects, overlays
+   * nor cropping, or the camera size is not known yet.
+   * @returns {MediaStream|null}
+   */
+  function startCompositor() {
+    const { title, watermark, progress } = settings.overlays;
+    const cropped = !!CAMERA_ASPECTS[settings.camera.aspect];
+    if (!effects && !title && !watermark && !progress && !cropped && !overdubBase && !dualCamera) return null;
+    const { width, height } = outputSize();
+    if (!width || !height) return null;
+    let source = effects ? effects.canvas : cameraPreview;
+    if (dualCamera) source = dualPreview;
+    compositor = CralkCompositor.create({ source, width, height });
+    if (overdubBase) compositor.layers.push(drawOverdubLayer);
+    if (title && (currentSong || selectedFileName)) {
+      const card = {
+        title: currentSong ? currentSong.title : selectedFileName,
+        artist: currentSong ? currentSong.artist : '',
+        cover: songCover && !songCover.hidden && songCover.complete ? songCover : null,
+      };
+      compositor.layers.push((ctx, w, h) => {
+        const elapsed = recordingElapsed();
+        const opacity = Math.min(1, Math.max(0, (TITLE_CARD_SECONDS + TITLE_CARD_FADE - elapsed) / TITLE_CARD_FADE));
+        if (opacity > 0) CralkCompositor.drawTitleCard(ctx, w, h, Object.assign({ opacity }, card));
+      });
+    }
+    if (watermark) compositor.layers.push(CralkCompositor.drawWatermark);
+    if (progress) {
+      compositor.layers.push((ctx, w, h) => CralkCompositor.drawProgressBar(ctx, w, h, songProgress()));
+    }
+    return compositor.start();
+  }
+
+  // ----- Level meters -----
+
+  /**
+   * Attach analysers to the recording graph and start the meter loop. The
+   * mic is measured before its gain so clipping of the input itself shows
+   * even when the mic is faded out; the song after its gain, as recorded.
+   * @param {MediaStreamTrack} [micTrack] watched for being cut by the system
+   */
+  function startMeters(micTrack) {
+    if (!levelMeters) return;
+    const mixAnalyser = audioContext.createAnalyser();
+    microGain.connect(mixAnalyser);
+    songGain.connect(mixAnalyser);
+    meters = {};
+    [
+      ['mic', microSource],
+      ['song', songGain],
+      ['mix', null],
+    ].forEach(([name, node]) => {
+      let analyser = mixAnalyser;
+      if (node) {
+        analyser = audioContext.createAnalyser();
+        node.connect(analyser);
+      }
+      analyser.fftSize = 1024;
+      const el = levelMeters.querySelector(`[data-meter="${name}"]`);
+      meters[name] = {
+        analyser,
+        samples: new Float32Array(analyser.fftSize),
+        el,
+        fill: el.querySelector('.meter-fill'),
+        peakEl: el.querySelector('.meter-peak'),
+        peak: 0,
+        peakTime: 0,
+      };
+    });
+    clipWarningUntil = 0;
+    micSilentSince = null;
+    micCutBySystem = false;
+    if (micTrack) {
+      micTrack.onmute = () => {
+        micCutBySystem = true;
+      };
+      micTrack.onunmute = () => {
+        micCutBySystem = false;
+      };
+      micTrack.onended = () => {
+        micCutBySystem = true;
+      };
+    }
+    levelMeters.style.display = 'flex';
+    meterFrame = requestAnimationFrame(updateMeters);
+  }
+
+  /**
+   * Stop the meter loop and hide the meters and any warning.
+   */
+  function stopMeters() {
+    if (meterFrame) cancelAnimationFrame(meterFrame);
+    meterFrame = null;
+    if (cameraStream) {
+      cameraStream.getAudioTracks().forEach((track) => {
+        track.onmute = null;
+        track.onunmute = null;
+        track.onended = null;
+      });
+    }
+    meters = null;
+    if (levelMeters) levelMeters.style.display = 'none';
+    showAudioWarning('');
+  }
+
+  /**
+   * Convert a linear level to a 0–1 position on the meter scale.
+   * @param {number} level
+   * @returns {number}
+   */
+  function meterPosition(level) {
+    if (level <= 0) return 0;
+    const db = 20 * Math.log10(level);
+    return Math.min(1, Math.max(0, 1 - db / METER_FLOOR_DB));
+  }
+
+  /**
+   * Read the analysers, redraw the meters and update the warnings. Runs
+   * on every animation frame while recording.
+   */
+  function updateMeters() {
+    if (!meters) return;
+    const now = Date.now();
+    const levels = {};
+    Object.keys(meters).forEach((name) => {
+      const meter = meters[name];
+      meter.analyser.getFloatTimeDomainData(meter.samples);
+      let peak = 0;
+      let sum = 0;
+      for (let i = 0; i < meter.samples.length; i++) {
+        const sample = Math.abs(meter.samples[i]);
+        if (sample > peak) peak = sample;
+        sum += sample * sample;
+      }
+      const rms = Math.sqrt(sum / meter.samples.length);
+      if (peak >= meter.peak || now - meter.peakTime > PEAK_HOLD_MS) {
+        meter.peak = peak;
+        meter.peakTime = now;
+      }
+      meter.fill.style.width = `${meterPosition(rms) * 100}%`;
+      meter.peakEl.style.left = `${meterPosition(meter.peak) * 100}%`;
+      meter.el.classList.toggle('clipping', meter.peak >= CLIP_LEVEL);
+      levels[name] = { peak, rms };
+    });
+    if (levels.mic.peak >= CLIP_LEVEL || levels.mix.peak >= CLIP_LEVEL) {
+      clipWarningUntil = now + CLIP_WARNING_MS;
+    }
+    if (levels.mic.rms >= SILENCE_LEVEL) {
+      micSilentSince = null;
+    } else if (micSilentSince === null) {
+      micSilentSince = now;
+    }
+    if (micCutBySystem) {
+      showAudioWarning('Le micro a été coupé par le système');
+    } else if (micSilentSince !== null && now - micSilentSince >= SILENCE_WARNING_MS) {
+      showAudioWarning('Aucun son du micro depuis quelques secondes : iOS l\'a peut-être coupé');
+    } else if (now < clipWarningUntil) {
+      showAudioWarning(
+        levels.mic.peak >= CLIP_LEVEL || meters.mic.peak >= CLIP_LEVEL
+          ? 'Le micro sature : éloignez-vous un peu'
+          : 'Le mixage sature : baissez les curseurs'
+      );
+    } else {
+      showAudioWarning('');
+    }
+    meterFrame = requestAnimationFrame(updateMeters);
+  }
+
+  /**
+   * Show a warning over the preview, or hide it when `text` is empty.
+   * @param {string} text
+   */
+  function showAudioWarning(text) {
+    if (!audioWarning) return;
+    if (audioWarning.textContent !== text) audioWarning.textContent = text;
+    audioWarning.style.display = text ? 'block' : 'none';
+  }
+
+  // ----- Latency calibration -----
+
+  /**
+   * Name of the audio output in use, used to remember one latency per
+   * output. Browsers that do not list outputs (iOS) fall back to the mic
+   * name, which also changes when a Bluetooth headset is connected.
+   * @returns {Promise<string>}
+   */
+  async function audioRouteName() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const outputs = devices.filter((d) => d.kind === 'audiooutput' && d.label);
+      const output = outputs.find((d) => d.deviceId === 'default') || outputs[0];
+      if (output) return output.label;
+    } catch (_) {
+      // device listing unavailable
+    }
+    const track = cameraStream && cameraStream.getAudioTracks()[0];
+    return (track && track.label) || 'Appareil';
+  }
+
+  /**
+   * Latency to compensate for the current audio output, in milliseconds.
+   * @returns {Promise<number>}
+   */
+  async function routeLatency() {
+    const route = await audioRouteName();
+    return settings.latency.routes[route] || 0;
+  }
+
+  /**
+   * Show the current output and its latency in the settings panel.
+   * @returns {Promise<void>}
+   */
+  async function refreshLatencyFields() {
+    if (!latencyInput) return;
+    const route = await audioRouteName();
+    latencyRouteLabel.textContent = `Sortie audio : ${route}`;
+    latencyInput.value = settings.latency.routes[route] || 0;
+  }
+
+  /**
+   * Play a click track, measure the round trip to the mic and store it for
+   * the current output. Echo cancellation would erase the clicks, so the
+   * mic processing is turned off during the measurement when possible.
+   */
+  async function calibrateLatency() {
+    if (isRecording) return;
+    const track = cameraStream && cameraStream.getAudioTracks()[0];
+    if (!track) {
+      alert('Le micro n\'est pas disponible.');
+      return;
+    }
+    const route = await audioRouteName();
+    const previous = track.getConstraints ? track.getConstraints() : {};
+    let latency = null;
+    showBusy('Calibration en cours… restez silencieux');
+    try {
+      await track
+        .applyConstraints(Object.assign({}, previous, {
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        }))
+        .catch(() => {});
+      latency = await CralkLatency.measure(new MediaStream([track]));
+    } catch (err) {
+      console.warn('Erreur pendant la calibration :', err);
+    } finally {
+      track.applyConstraints(previous).catch(() => {});
+      hideBusy();
+    }
+    if (latency === null) {
+      alert('Les clics n\'ont pas été entendus. Montez le volume, éloignez-vous du bruit et recommencez.');
+      return;
+    }
+    settings.latency.routes[route] = Math.round(latency);
+    saveSettings();
+    refreshLatencyFields();
+    alert(`Latence mesurée : ${Math.round(latency)} ms (${route})`);
+  }
+
+  // ----- Mixing -----
+
+  /**
+   * Gain each source should have for the current mix mode, source and
+   * fader levels.
+   * @returns {{mic: number, song: number}}
+   */
+  function mixTargets() {
+    const { mode, micLevel, songLevel } = settings.mix;
+    if (mode === 'duet' || overdubBase) return { mic: micLevel, song: songLevel };
+    return recordingSource === 'song' ? { mic: 0, song: songLevel } : { mic: micLevel, song: 0 };
+  }
+
+  /**
+   * Move an AudioParam to a value with a linear ramp, starting from its
+   * current value so repeated changes never jump (and click).
+   * @param {AudioParam} param
+   * @param {number} value
+   * @param {number} seconds ramp length; 0 sets the value immediately
+   */
+  function rampGain(param, value, seconds) {
+    const now = audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (seconds > 0) {
+      param.linearRampToValueAtTime(value, now + seconds);
+    } else {
+      param.setValueAtTime(value, now);
+    }
+  }
+
+  /**
+   * Apply the current mix to the recording graph.
+   * @param {number} fadeSeconds
+   */
+  function applyMix(fadeSeconds) {
+    if (!audioContext || !microGain || !songGain) return;
+    const targets = mixTargets();
+    rampGain(microGain.gain, targets.mic, fadeSeconds);
+    rampGain(songGain.gain, targets.song, fadeSeconds);
+  }
+
+  /**
+   * Show or hide the mic/song faders, syncing them with the saved levels.
+   * @param {boolean} visible
+   */
+  function showMixFaders(visible) {
+    if (!mixFaders) return;
+    micFader.value = settings.mix.micLevel;
+    songFader.value = settings.mix.songLevel;
+    mixFaders.style.display = visible ? 'flex' : 'none';
+  }
+
+  /**
+   * Toggle which audio source (mic or song) is recorded. This does not
+   * interrupt playback of the song. The two sources are crossfaded over
+   * the configured fade length to avoid clicks.
+   */
+  function toggleSource() {
+    if (!isRecording || settings.mix.mode === 'duet' || overdubBase) return;
+    // Toggle between recording the song and the mic based on current state.
+    if (recordingSource === 'song') {
+      // We were recording the song; switch to the microphone
+      recordingSource = 'mic';
+      applyMix(settings.mix.fadeMs / 1000);
+      logSourceSwitch();
+      // Show mic icon and hide note icon
+      if (micIcon) micIcon.style.display = 'block';
+      if (noteToggleIcon) noteToggleIcon.style.display = 'none';
+    } else {
+      // We were recording the microphone; switch to the song
+      recordingSource = 'song';
+      applyMix(settings.mix.fadeMs / 1000);
+      logSourceSwitch();
+      // Show note icon and hide mic icon
+      if (micIcon) micIcon.style.display = 'none';
+      if (noteToggleIcon) noteToggleIcon.style.display = 'block';
+    }
+  }
+
+  /**
+   * Switch the facing mode of the camera between user (front) and
+   * environment (rear) and reinitialise the stream. In dual mode the panes
+   * are swapped.
+   */
+  function switchCamera() {
+    // Both cameras are already shown: swap them instead
+    if (dualCamera) {
+      swapDualPanes();
+      return;
+    }
+    currentFacing = currentFacing === 'user' ? 'environment' : 'user';
+    // Flipping between front and back leaves a camera picked in the settings
+    if (settings.camera.deviceId) {
+      settings.camera.deviceId = '';
+      saveSettings();
+    }
+    applyEffects();
+    // Force reinitialisation du flux pour changer de caméra
+    initCamera(true);
+  }
+
+  /**
+   * Slide to the gallery view by adding a class to the app container.
+   */
+  function showGallery() {
+    appContainer.classList.add('gallery-active');
+  }
+
+  /**
+   * Slide back to the recorder view by removing the gallery class.
+   */
+  function showRecorder() {
+    appContainer.classList.remove('gallery-active');
+    // Reuse the existing camera stream if it exists; otherwise request a new one.
+    if (cameraStream) {
+      cameraPreview.srcObject = cameraStream;
+      // Ensure the preview starts playing when returning to the recorder
+      try {
+        cameraPreview.play();
+      } catch (_) {
+        // ignore playback errors
+      }
+    } else {
+      initCamera();
+    }
+  }
+
+  /**
+   * Hide the splash screen once the app has completed initialisation. This
+   * function removes the splash element from the DOM to reveal the main
+   * interface. It is called after the camera is ready so that users see
+   * the logo while permissions are being requested.
+   */
+  function hideSplash() {
+    const splash = document.getElementById('splash-screen');
+    if (splash) {
+      splash.style.display = 'none';
+    }
+  }
+
+  // ----- Event listeners -----
+  fileInput.addEventListener('change', handleFileSelection);
+  if (libraryPanel) {
+    chooseSongBtn.addEventListener('click', openLibrary);
+    closeLibraryBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeLibrary();
+    });
+    libraryPanel.addEventListener('click', (e) => {
+      if (e.target === libraryPanel) closeLibrary();
+    });
+    librarySearch.addEventListener('input', renderLibrary);
+    clearQueueBtn.addEventListener('click', () => {
+      songQueue = [];
+      saveSongLists();
+      updateFileInfo();
+      renderLibrary();
+    });
+  }
+  switchCameraBtn.addEventListener('click', switchCamera);
+  toggleSourceBtn.addEventListener('click', toggleSource);
+  recordButton.addEventListener('click', () => {
+    if (!isRecording) {
+      unlockBeeps();
+      startRecording();
+    } else {
+      stopRecording();
+    }
+  });
+  // Finish the take rather than lose it when the app goes to the
+  // background (call, screen lock, app switch) or the page is unloaded
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) interruptRecording('application passée en arrière-plan');
+  });
+  window.addEventListener('pagehide', () => interruptRecording('page fermée'));
+  if (pauseButton) {
+    pauseButton.addEventListener('click', () => {
+      if (pausedAt) {
+        unlockBeeps();
+        resumeRecording();
+      } else {
+        pauseRecording();
+      }
+    });
+  }
+
+  // Mix faders: adjust levels live during recording; saved when released
+  if (mixFaders) {
+    [
+      [micFader, 'micLevel'],
+      [songFader, 'songLevel'],
+    ].forEach(([fader, key]) => {
+      fader.addEventListener('input', () => {
+        settings.mix[key] = parseFloat(fader.value);
+        applyMix(0.05);
+      });
+      fader.addEventListener('change', saveSettings);
+    });
+    ['touchstart', 'touchend'].forEach((type) => {
+      mixFaders.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+  }
+
+  // Song range editor: drag the handles on the waveform
+  if (rangeEditor) {
+    let activeHandle = null;
+    waveformContainer.addEventListener('pointerdown', (e) => {
+      const duration = audioPlayer.duration || 0;
+      if (!duration) return;
+      const rect = waveformContainer.getBoundingClientRect();
+      const time = ((e.clientX - rect.left) / rect.width) * duration;
+      activeHandle =
+        Math.abs(time - songRange.start) <= Math.abs(time - songRangeEnd()) ? 'start' : 'end';
+      waveformContainer.setPointerCapture(e.pointerId);
+      dragRangeHandle(e, activeHandle);
+    });
+    waveformContainer.addEventListener('pointermove', (e) => {
+      if (activeHandle) dragRangeHandle(e, activeHandle);
+    });
+    const endDrag = () => {
+      if (!activeHandle) return;
+      activeHandle = null;
+      saveSongRange();
+      updateSongTimer();
+    };
+    waveformContainer.addEventListener('pointerup', endDrag);
+    waveformContainer.addEventListener('pointercancel', endDrag);
+    // Keep drags on the waveform from switching screens
+    ['touchstart', 'touchend'].forEach((type) => {
+      rangeEditor.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+    rangePreviewBtn.addEventListener('click', () => {
+      if (rangePreviewing) stopRangePreview();
+      else startRangePreview();
+    });
+    rangeResetBtn.addEventListener('click', () => {
+      songRange = { start: 0, end: null };
+      saveSongRange();
+      drawRangeEditor();
+      updateSongTimer();
+    });
+    rangeDoneBtn.addEventListener('click', closeRangeEditor);
+  }
+  if (rangeBtn) {
+    rangeBtn.addEventListener('click', () => {
+      if (rangeEditor.style.display === 'block') closeRangeEditor();
+      else openRangeEditor();
+    });
+  }
+
+  // Torch, pinch-to-zoom on the preview and the frame guide
+  if (torchBtn) torchBtn.addEventListener('click', toggleTorch);
+  const recorderScreen = document.querySelector('.recorder-screen');
+  recorderScreen.addEventListener(
+    'touchstart',
+    (e) => {
+      if (e.touches.length === 2 && cameraZoom !== null) {
+        pinchStart = { distance: touchDistance(e), zoom: cameraZoom };
+      }
+    },
+    { passive: true }
+  );
+  recorderScreen.addEventListener(
+    'touchmove',
+    (e) => {
+      if (pinchStart && e.touches.length === 2) {
+        setCameraZoom((pinchStart.zoom * touchDistance(e)) / pinchStart.distance);
+      }
+    },
+    { passive: true }
+  );
+  recorderScreen.addEventListener(
+    'touchend',
+    (e) => {
+      if (e.touches.length < 2) pinchStart = null;
+    },
+    { passive: true }
+  );
+  cameraPreview.addEventListener('resize', updateFrameGuide);
+  window.addEventListener('resize', updateFrameGuide);
+
+  // Effects picker: one look at a time, the other effects add up
+  if (effectsBar) {
+    effectsBtn.addEventListener('click', () => {
+      effectsBar.style.display = effectsBar.style.display === 'flex' ? 'none' : 'flex';
+    });
+    effectsBar.addEventListener('click', (e) => {
+      const chip = e.target.closest('.effect-chip');
+      if (!chip) return;
+      if (chip.dataset.look) settings.effects.look = chip.dataset.look;
+      else settings.effects[chip.dataset.effect] = !settings.effects[chip.dataset.effect];
+      saveSettings();
+      applyEffects();
+    });
+    // Keep swipes along the chips from switching screens
+    ['touchstart', 'touchend'].forEach((type) => {
+      effectsBar.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+  }
+
+  // Dual camera: the top button opens it, the bar changes it mid-take
+  if (dualBar) {
+    dualBtn.addEventListener('click', () => {
+      if (dualCamera) stopDualCamera();
+      else startDualCamera();
+    });
+    dualLayoutBtn.addEventListener('click', toggleDualLayout);
+    dualSwapBtn.addEventListener('click', swapDualPanes);
+    dualImportBtn.addEventListener('click', () => dualFileInput.click());
+    dualStopBtn.addEventListener('click', stopDualCamera);
+    dualFileInput.addEventListener('change', () => {
+      importDualVideo(dualFileInput.files[0]);
+      dualFileInput.value = '';
+    });
+    ['touchstart', 'touchend'].forEach((type) => {
+      dualBar.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+  }
+
+  // Lyrics panel, tap-along bar and the lyrics following the song
+  if (lyricsPanel) {
+    lyricsBtn.addEventListener('click', openLyricsPanel);
+    closeLyricsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeLyricsPanel();
+    });
+    lyricsPanel.addEventListener('click', (e) => {
+      if (e.target === lyricsPanel) closeLyricsPanel();
+    });
+    lyricsInput.addEventListener('change', () => {
+      const file = lyricsInput.files[0];
+      lyricsInput.value = '';
+      if (file) {
+        attachLyrics(file).catch((err) => {
+          console.error('Erreur lors de la lecture des paroles :', err);
+          alert('Impossible de lire ce fichier de paroles.');
+        });
+      }
+    });
+    lyricsOffsetInput.addEventListener('change', () => {
+      if (!currentSong) return;
+      currentSong.lyricsOffset = Math.round(Number(lyricsOffsetInput.value)) || 0;
+      updateLyrics();
+      persistSong(currentSong);
+    });
+    lyricsTapStartBtn.addEventListener('click', startLyricsTap);
+    lyricsClearBtn.addEventListener('click', clearLyrics);
+    lyricsTapBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      tapLyricsLine();
+    });
+    lyricsTapDoneBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      finishLyricsTap(true);
+    });
+    lyricsTapCancelBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      finishLyricsTap(false);
+    });
+    // Keep taps from switching screens
+    ['touchstart', 'touchend'].forEach((type) => {
+      lyricsTapBar.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+  }
+  audioPlayer.addEventListener('play', startLyricsLoop);
+  ['pause', 'ended', 'emptied'].forEach((type) => audioPlayer.addEventListener(type, stopLyricsLoop));
+  audioPlayer.addEventListener('seeked', updateLyrics);
+  audioPlayer.addEventListener('ended', () => {
+    if (lyricsTap) finishLyricsTap(true);
+  });
+
+  // Stop at the out-point: ends the recording, or the editor's preview
+  audioPlayer.addEventListener('timeupdate', () => {
+    const end = songRangeEnd();
+    if (!end || audioPlayer.currentTime < end) return;
+    if (isRecording && songPlaying) {
+      stopRecording();
+    } else if (rangePreviewing) {
+      stopRangePreview();
+    }
+  });
+
+  // Gallery control: delete all recordings
+  if (deleteAllBtn) {
+    deleteAllBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      // Remove all recorded items, their object URLs and the saved copies
+      clearAllRecordings();
+    });
+  }
+
+  // Gallery control: download all recordings and then clear them
+  if (downloadAllBtn) {
+    downloadAllBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      downloadRecordingsAsZip(recordingsList.slice(), true);
+    });
+  }
+
+  // Gallery filters, sorting and selection
+  if (gallerySort) {
+    gallerySort.value = settings.gallery.sort;
+    gallerySort.addEventListener('change', () => {
+      settings.gallery.sort = gallerySort.value;
+      saveSettings();
+      renderGallery();
+    });
+    gallerySearch.addEventListener('input', renderGallery);
+    galleryFilter.addEventListener('change', renderGallery);
+    gallerySelectBtn.addEventListener('click', () => setSelectionMode(!gallerySelection));
+    selectionAllBtn.addEventListener('click', selectAllShown);
+    selectionDeleteBtn.addEventListener('click', () => deleteRecordings(selectedRecordings()));
+    selectionShareBtn.addEventListener('click', () => shareRecordings(selectedRecordings()));
+    selectionDownloadBtn.addEventListener('click', () => {
+      const recs = selectedRecordings();
+      if (recs.length === 1) downloadRecording(recs[0]);
+      else downloadRecordingsAsZip(recs);
+    });
+  }
+
+  // ----- Settings panel -----
+
+  /**
+   * Show the settings panel.
+   */
+  function openSettings() {
+    settingsPanel.style.display = 'flex';
+    refreshLatencyFields();
+    refreshCameraFields();
+    refreshAudioFields();
+  }
+
+  /**
+   * Hide the settings panel.
+   */
+  function closeSettings() {
+    settingsPanel.style.display = 'none';
+  }
+
+  /**
+   * Connect a form control of the settings panel to `settings[section][key]`.
+   * The control is initialised from the stored value and every change is
+   * saved immediately. Numbers are clamped to the control's min/max.
+   * @param {string} id element id of the control
+   * @param {string} section settings group
+   * @param {string} key option name within the group
+   * @param {(value: any) => void} [onChange] called after the value is saved
+   */
+  function bindSettingInput(id, section, key, onChange) {
+    const input = document.getElementById(id);
+    if (!input) return;
+    if (input.type === 'checkbox') {
+      input.checked = !!settings[section][key];
+    } else {
+      input.value = settings[section][key];
+    }
+    input.addEventListener('change', () => {
+      let value;
+      if (input.type === 'checkbox') {
+        value = input.checked;
+      } else if (input.type === 'number' || input.type === 'range') {
+        value = parseFloat(input.value);
+        if (isNaN(value)) {
+          input.value = settings[section][key];
+          return;
+        }
+        if (input.min !== '') value = Math.max(parseFloat(input.min), value);
+        if (input.max !== '') value = Math.min(parseFloat(input.max), value);
+        input.value = value;
+      } else {
+        value = input.value;
+      }
+      settings[section][key] = value;
+      saveSettings();
+      if (onChange) onChange(value);
+    });
+  }
+
+  /**
+   * Only show the limit field matching the selected retention mode.
+   */
+  function updateRetentionFields() {
+    const mode = settings.retention.mode;
+    document.querySelectorAll('[data-retention-mode]').forEach((el) => {
+      el.style.display = el.dataset.retentionMode === mode ? '' : 'none';
+    });
+  }
+
+  if (settingsPanel) {
+    bindSettingInput('retention-mode', 'retention', 'mode', () => {
+      updateRetentionFields();
+      enforceRetention();
+    });
+    bindSettingInput('retention-count', 'retention', 'maxCount', () => enforceRetention());
+    bindSettingInput('retention-storage', 'retention', 'maxStorageMB', () => enforceRetention());
+    bindSettingInput('mix-mode', 'mix', 'mode', () => applyMix(settings.mix.fadeMs / 1000));
+    bindSettingInput('mix-fade', 'mix', 'fadeMs');
+    bindSettingInput('overdub-layout', 'mix', 'overdubLayout');
+    bindSettingInput('camera-device', 'camera', 'deviceId', () => {
+      if (!isRecording) initCamera(true);
+    });
+    bindSettingInput('camera-resolution', 'camera', 'resolution', applyCameraSettings);
+    bindSettingInput('camera-fps', 'camera', 'fps', applyCameraSettings);
+    bindSettingInput('camera-aspect', 'camera', 'aspect', updateFrameGuide);
+    bindSettingInput('audio-device', 'audio', 'deviceId', () => {
+      if (!isRecording) initCamera(true);
+    });
+    bindSettingInput('audio-echo', 'audio', 'echoCancellation', applyAudioSettings);
+    bindSettingInput('audio-noise', 'audio', 'noiseSuppression', applyAudioSettings);
+    bindSettingInput('audio-agc', 'audio', 'autoGainControl', applyAudioSettings);
+    bindSettingInput('vocal-highpass', 'audio', 'highpass');
+    bindSettingInput('vocal-compressor', 'audio', 'compressor');
+    bindSettingInput('vocal-reverb', 'audio', 'reverb');
+    PROTOCOL_FIELDS.forEach(([id, key]) => bindSettingInput(id, 'protocol', key));
+    if (protocolPresetSelect) {
+      renderProtocolPresets();
+      protocolPresetSelect.addEventListener('change', () => applyProtocolPreset(protocolPresetSelect.value));
+      protocolSaveBtn.addEventListener('click', saveProtocolPreset);
+      protocolDeleteBtn.addEventListener('click', deleteProtocolPreset);
+    }
+    bindSettingInput('overlay-title', 'overlays', 'title');
+    bindSettingInput('overlay-watermark', 'overlays', 'watermark');
+    bindSettingInput('overlay-progress', 'overlays', 'progress');
+    bindSettingInput('export-format', 'export', 'format', () => {
+      // Drop conversions made with the previous choice
+      recordingsList.forEach((rec) => {
+        rec.exportBlob = null;
+        rec.exportFailed = false;
+      });
+    });
+    updateRetentionFields();
+    // The latency is stored per output, so it is not a plain setting
+    if (latencyInput) {
+      latencyInput.addEventListener('change', async () => {
+        const route = await audioRouteName();
+        const value = parseFloat(latencyInput.value);
+        if (isNaN(value)) {
+          latencyInput.value = settings.latency.routes[route] || 0;
+          return;
+        }
+        const clamped = Math.min(parseFloat(latencyInput.max), Math.max(parseFloat(latencyInput.min), value));
+        latencyInput.value = clamped;
+        settings.latency.routes[route] = clamped;
+        saveSettings();
+      });
+      latencyCalibrateBtn.addEventListener('click', calibrateLatency);
+    }
+    settingsPanel.addEventListener('click', (e) => {
+      if (e.target === settingsPanel) closeSettings();
+    });
+  }
+  if (settingsBtn) {
+    settingsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openSettings();
+    });
+  }
+  if (closeSettingsBtn) {
+    closeSettingsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeSettings();
+    });
+  }
+
+  // Gallery control: help button placeholder
+  if (helpBtn) {
+    helpBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      alert('Aide : cette fonctionnalité sera disponible prochainement.');
+    });
+  }
+  // Swipe detection for switching screens
+  let touchStartX = null;
+  appContainer.addEventListener(
+    'touchstart',
+    (e) => {
+      // A second finger means a pinch, not a swipe
+      if (e.touches.length > 1) {
+        touchStartX = null;
+      } else if (e.changedTouches.length > 0) {
+        touchStartX = e.changedTouches[0].clientX;
+      }
+    },
+    { passive: true }
+  );
+  appContainer.addEventListener(
+    'touchend',
+    (e) => {
+      if (touchStartX === null) return;
+      const diffX = e.changedTouches[0].clientX - touchStartX;
+      if (Math.abs(diffX) > 50) {
+        if (diffX < 0) {
+          showGallery();
+        } else {
+          showRecorder();
+        }
+      }
+      touchStartX = null;
+    },
+    { passive: true }
+  );
+
+  // ----- Initialisation -----
+  // Request access to the camera and microphone once on initial load. The splash
+  // screen will be hidden regardless of whether access is granted, so the
+  // interface appears once permissions have been handled. Recordings saved
+  // during previous sessions are restored into the gallery at the same time,
+  // together with the song library; the take linked from the URL, if any,
+  // is then opened and takes interrupted by a crash offered for recovery.
+  CralkStorage.requestPersistence();
+  initEffects();
+  Promise.all([initCamera().catch(() => {}), restoreRecordings(), restoreLibrary()])
+    .catch(() => {})
+    .finally(() => {
+      hideSplash();
+      openLinkedRecording();
+      recoverPendingTakes();
+    });
+  // Register service worker for offline capability and updates
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker
+        .register('/sw.js')
+        .catch((err) => console.error('Échec enregistrement ServiceWorker :', err));
+    });
+  }
+
+  // Orientation handling: add or remove a class on the body to indicate when
+  // the device is in landscape mode. This is used to rotate button labels
+  // while keeping the control bar anchored at the bottom.
+  function updateOrientationClass() {
+    const isLandscape = window.matchMedia('(orientation: landscape)').matches;
+    if (isLandscape) {
+      document.body.classList.add('landscape');
+    } else {
+      document.body.classList.remove('landscape');
+    }
+  }
+  // Run once at start and whenever the orientation changes or the window is resized
+  updateOrientationClass();
+  window.addEventListener('orientationchange', updateOrientationClass);
+  window.addEventListener('resize', updateOrientationClass);
+
+  // ----- Modal functions for viewing recordings -----
+
+  /**
+   * Open the modal to view a recording at the given index. Loads the video
+   * source, plays it and updates the current index. If the index is
+   * invalid, the modal is not displayed. Opening adds a history entry
+   * whose URL links to the take, so the back button closes the modal;
+   * browsing to another take replaces it.
+   * @param {number} index
+   */
+  function openModal(index) {
+    const rec = recordingsList[index];
+    if (!rec) return;
+    // Stop any currently playing modal video
+    if (!modalVideo.paused) {
+      modalVideo.pause();
+    }
+    modalVideo.src = rec.url;
+    modalVideo.currentTime = 0;
+    // Loading a new source resets the speed to the default one
+    modalVideo.defaultPlaybackRate = parseFloat(modalSpeed.value) || 1;
+    modalVideo.playbackRate = modalVideo.defaultPlaybackRate;
+    modalVideo.play().catch(() => {});
+    videoModal.style.display = 'flex';
+    currentModalIndex = index;
+    closeSwitchEditor();
+    closeClipEditor();
+    closeLayersEditor();
+    editLayersBtn.style.display = rec.overdubBlob && rec.micBlob ? 'block' : 'none';
+    const single = !shownRecordings().some((other) => other !== rec);
+    prevModalBtn.style.display = single ? 'none' : '';
+    nextModalBtn.style.display = single ? 'none' : '';
+    renderModalInfo(rec);
+    updateModalProgress();
+    const state = { modal: rec.date };
+    const hash = `${MODAL_HASH}${rec.date}`;
+    if (history.state && history.state.modal) history.replaceState(state, '', hash);
+    else history.pushState(state, '', hash);
+  }
+
+  /**
+   * Close the modal and drop its history entry, as if back was pressed.
+   */
+  function closeModal() {
+    hideModal();
+    if (history.state && history.state.modal) history.back();
+  }
+
+  /**
+   * Hide the modal and stop playback of the current video, leaving the
+   * history alone (used when the back button closes it).
+   */
+  function hideModal() {
+    if (!modalVideo.paused) {
+      modalVideo.pause();
+    }
+    videoModal.style.display = 'none';
+    closeSwitchEditor();
+    closeClipEditor();
+    closeLayersEditor();
+    currentModalIndex = null;
+  }
+
+  /**
+   * Index of the take linked from the URL hash, or -1.
+   * @returns {number}
+   */
+  function linkedRecordingIndex() {
+    if (!location.hash.startsWith(MODAL_HASH)) return -1;
+    const date = Number(location.hash.slice(MODAL_HASH.length));
+    return recordingsList.findIndex((rec) => rec.date === date);
+  }
+
+  /**
+   * Open the take linked from the URL at launch. The link is first removed
+   * from the current history entry so that back returns to the gallery
+   * rather than leaving the app.
+   */
+  function openLinkedRecording() {
+    if (!location.hash.startsWith(MODAL_HASH)) return;
+    const index = linkedRecordingIndex();
+    history.replaceState(null, '', location.pathname + location.search);
+    if (index === -1) return;
+    showGallery();
+    openModal(index);
+  }
+
+  /**
+   * Fill the details panel of the modal: song, date, length, size and
+   * format of the take, and the picture size once the video is loaded.
+   * @param {Object} rec entry of recordingsList
+   */
+  function renderModalInfo(rec) {
+    const rows = [
+      ['Nom', rec.name],
+      ['Chanson', rec.title ? [rec.artist, rec.title].filter(Boolean).join(' – ') : rec.fileName],
+      ['Album', rec.album],
+      ['Prise', rec.takeNumber],
+      ['Date', new Date(rec.date).toLocaleString('fr-FR')],
+      ['Durée', formatTime(rec.duration || 0)],
+      ['Taille', rec.blob ? `${(rec.blob.size / (1024 * 1024)).toFixed(1)} Mo` : ''],
+      ['Format', rec.mimeType],
+      ['Image', modalVideo.videoWidth ? `${modalVideo.videoWidth} × ${modalVideo.videoHeight}` : ''],
+    ];
+    modalInfo.textContent = '';
+    rows.forEach(([label, value]) => {
+      if (!value) return;
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      modalInfo.append(term, detail);
+    });
+  }
+
+  /**
+   * Pause and move the modal video by one frame. Takes do not store their
+   * frame rate, so the one set for the camera is used.
+   * @param {number} direction 1 forwards, -1 backwards
+   */
+  function stepFrame(direction) {
+    if (currentModalIndex === null) return;
+    modalVideo.pause();
+    const frame = 1 / (parseInt(settings.camera.fps, 10) || 30);
+    modalVideo.currentTime = Math.max(0, modalVideo.currentTime + direction * frame);
+  }
+
+  /**
+   * Keyboard shortcuts of the modal: arrows browse the takes, comma and
+   * period step by one frame, space plays or pauses and Escape closes.
+   * @param {KeyboardEvent} e
+   */
+  function handleModalKey(e) {
+    if (currentModalIndex === null || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+    switch (e.key) {
+      case 'ArrowLeft':
+        prevModal();
+        break;
+      case 'ArrowRight':
+        nextModal();
+        break;
+      case ',':
+        stepFrame(-1);
+        break;
+      case '.':
+        stepFrame(1);
+        break;
+      case ' ':
+        if (modalVideo.paused) modalVideo.play().catch(() => {});
+        else modalVideo.pause();
+        break;
+      case 'Escape':
+        closeModal();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Show the next recording in the modal, in gallery order. Wraps around at
+   * the end; a take the filters hide (opened from a link or just edited)
+   * goes on with the first one shown.
+   */
+  function nextModal() {
+    if (currentModalIndex === null) return;
+    const shown = shownRecordings();
+    if (!shown.length) return;
+    const position = shown.indexOf(recordingsList[currentModalIndex]);
+    openModal(recordingsList.indexOf(shown[(position + 1) % shown.length]));
+  }
+
+  /**
+   * Show the previous recording in the modal, in gallery order. Wraps
+   * around to the last one shown.
+   */
+  function prevModal() {
+    if (currentModalIndex === null) return;
+    const shown = shownRecordings();
+    if (!shown.length) return;
+    const position = shown.indexOf(recordingsList[currentModalIndex]);
+    openModal(recordingsList.indexOf(shown[position > 0 ? position - 1 : shown.length - 1]));
+  }
+
+  // ----- Switch timeline -----
+
+  /**
+   * Sort switches by time and drop the ones that do not change the source.
+   * @param {{time: number, source: string}[]} switches
+   * @returns {{time: number, source: string}[]}
+   */
+  function normalizeSwitches(switches) {
+    const sorted = switches.slice().sort((a, b) => a.time - b.time);
+    return sorted.filter((sw, i) => i === 0 || sw.source !== sorted[i - 1].source);
+  }
+
+  /**
+   * Whether a take has a switch log worth showing. Duet takes record both
+   * sources all along, so they have nothing to edit.
+   * @param {Object} rec entry of recordingsList
+   * @returns {boolean}
+   */
+  function hasSwitchTimeline(rec) {
+    return !!(rec && rec.switches && rec.switches.length && !(rec.mix && rec.mix.mode === 'duet'));
+  }
+
+  /**
+   * Length of a take in seconds. MediaRecorder WebM files often report an
+   * infinite duration, so the value measured while recording comes first.
+   * @param {Object} rec entry of recordingsList
+   * @returns {number}
+   */
+  function takeDuration(rec) {
+    return rec.duration || (isFinite(modalVideo.duration) ? modalVideo.duration : 0);
+  }
+
+  /**
+   * Source recorded at a given time according to a switch list.
+   * @param {{time: number, source: string}[]} switches
+   * @param {number} time
+   * @returns {string}
+   */
+  function sourceAt(switches, time) {
+    let source = 'mic';
+    normalizeSwitches(switches).forEach((sw) => {
+      if (sw.time <= time) source = sw.source;
+    });
+    return source;
+  }
+
+  /**
+   * Draw the scrubber under the modal video: one coloured segment per
+   * source and a marker at each switch.
+   * @param {Object} rec entry of recordingsList
+   * @param {{time: number, source: string}[]} switches
+   */
+  function renderModalTimeline(rec, switches) {
+    if (!modalTimeline) return;
+    modalTimeline.querySelectorAll('.timeline-segment, .timeline-marker').forEach((el) => el.remove());
+    const duration = takeDuration(rec);
+    const visible = hasSwitchTimeline(rec) && duration > 0;
+    modalTimeline.style.display = visible ? 'block' : 'none';
+    editSwitchesBtn.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+    const sorted = normalizeSwitches(switches);
+    sorted.forEach((sw, i) => {
+      const start = Math.min(sw.time, duration);
+      const end = i + 1 < sorted.length ? Math.min(sorted[i + 1].time, duration) : duration;
+      const segment = document.createElement('div');
+      segment.className = `timeline-segment ${sw.source}`;
+      segment.style.left = `${(start / duration) * 100}%`;
+      segment.style.width = `${(Math.max(0, end - start) / duration) * 100}%`;
+      modalTimeline.insertBefore(segment, modalProgress);
+      if (i > 0) {
+        const marker = document.createElement('div');
+        marker.className = 'timeline-marker';
+        marker.style.left = `${(start / duration) * 100}%`;
+        marker.title = `${formatTime(sw.time)} → ${sw.source === 'song' ? 'chanson' : 'micro'}`;
+        modalTimeline.insertBefore(marker, modalProgress);
+      }
+    });
+  }
+
+  /**
+   * Move the playhead of the modal scrubber.
+   */
+  function updateModalProgress() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !modalProgress) return;
+    const duration = takeDuration(rec);
+    const fraction = duration ? Math.min(1, modalVideo.currentTime / duration) : 0;
+    modalProgress.style.left = `${fraction * 100}%`;
+  }
+
+  /**
+   * Seek the modal video to the pointer position on the scrubber.
+   * @param {PointerEvent} e
+   */
+  function seekModalTimeline(e) {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec) return;
+    const rect = modalTimeline.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    modalVideo.currentTime = fraction * takeDuration(rec);
+    updateModalProgress();
+  }
+
+  /**
+   * Open the switch editor for the take shown in the modal. Edits are made
+   * on a copy; the original take is kept when re-rendering.
+   */
+  function openSwitchEditor() {
+    const rec = recordingsList[currentModalIndex];
+    if (!hasSwitchTimeline(rec)) return;
+    closeClipEditor();
+    closeLayersEditor();
+    switchDraft = rec.switches.map((sw) => Object.assign({}, sw));
+    renderSwitchList();
+    switchEditor.style.display = 'block';
+  }
+
+  /**
+   * Close the switch editor and drop unsaved edits.
+   */
+  function closeSwitchEditor() {
+    if (!switchEditor) return;
+    switchEditor.style.display = 'none';
+    switchDraft = null;
+    const rec = recordingsList[currentModalIndex];
+    if (rec) renderModalTimeline(rec, rec.switches || []);
+  }
+
+  /**
+   * Rebuild the rows of the switch editor from switchDraft. The first row
+   * is the source at the start of the take and cannot be moved.
+   */
+  function renderSwitchList() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !switchDraft) return;
+    const duration = takeDuration(rec);
+    switchList.innerHTML = '';
+    switchDraft.forEach((sw, i) => {
+      const item = document.createElement('li');
+      item.className = 'switch-row';
+      if (i === 0) {
+        const label = document.createElement('span');
+        label.className = 'switch-time';
+        label.textContent = 'Début';
+        item.appendChild(label);
+      } else {
+        const time = document.createElement('input');
+        time.type = 'number';
+        time.className = 'switch-time';
+        time.min = '0';
+        time.max = String(duration);
+        time.step = '0.1';
+        time.value = sw.time.toFixed(1);
+        time.addEventListener('change', () => {
+          const value = parseFloat(time.value);
+          if (!isNaN(value)) sw.time = Math.min(duration, Math.max(0, value));
+          sortSwitchDraft();
+          renderSwitchList();
+        });
+        item.appendChild(time);
+      }
+      const source = document.createElement('select');
+      [
+        ['mic', 'Micro'],
+        ['song', 'Chanson'],
+      ].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        source.appendChild(option);
+      });
+      source.value = sw.source;
+      source.addEventListener('change', () => {
+        sw.source = source.value;
+        renderModalTimeline(rec, switchDraft);
+      });
+      item.appendChild(source);
+      if (i > 0) {
+        const remove = document.createElement('button');
+        remove.className = 'range-action';
+        remove.title = 'Supprimer cette bascule';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+          switchDraft.splice(i, 1);
+          renderSwitchList();
+        });
+        item.appendChild(remove);
+      }
+      switchList.appendChild(item);
+    });
+    renderModalTimeline(rec, switchDraft);
+  }
+
+  /**
+   * Keep the edited switches in time order (after the initial source).
+   */
+  function sortSwitchDraft() {
+    switchDraft = [switchDraft[0]].concat(switchDraft.slice(1).sort((a, b) => a.time - b.time));
+  }
+
+  /**
+   * Add a switch at the current playback position, to the other source.
+   */
+  function addSwitchAtPlayhead() {
+    if (!switchDraft) return;
+    const time = modalVideo.currentTime;
+    switchDraft.push({ time, source: sourceAt(switchDraft, time) === 'song' ? 'mic' : 'song' });
+    sortSwitchDraft();
+    renderSwitchList();
+  }
+
+  /**
+   * Gain automation of one source for a switch list.
+   * @param {{time: number, source: string}[]} switches
+   * @param {string} source 'mic' or 'song'
+   * @param {number} level fader level of the source
+   * @returns {{time: number, value: number}[]}
+   */
+  function switchAutomation(switches, source, level) {
+    return switches.map((sw) => ({ time: sw.time, value: sw.source === source ? level : 0 }));
+  }
+
+  /**
+   * Re-render a take with another switch list: the raw mic and the song
+   * are mixed again offline, then the video is re-recorded with the new
+   * sound track. The result is added as a new take next to the original.
+   * @param {Object} rec entry of recordingsList
+   * @param {{time: number, source: string}[]} edited
+   */
+  async function rerenderSwitches(rec, edited) {
+    const songBlob = takeSongBlob(rec);
+    if (!rec.micBlob || !songBlob) {
+      alert("Cette prise ne contient pas les pistes d'origine : l'audio ne peut pas être recalculé.");
+      return;
+    }
+    const switches = normalizeSwitches(edited);
+    const mix = Object.assign({}, settings.mix, rec.mix);
+    const fade = mix.fadeMs / 1000;
+    modalVideo.pause();
+    showBusy("Recalcul de l'audio…");
+    try {
+      const [micBuffer, songBuffer] = await Promise.all([
+        CralkRender.decodeAudio(rec.micBlob),
+        CralkRender.decodeAudio(songBlob),
+      ]);
+      const audio = await CralkRender.renderMix({
+        duration: rec.duration,
+        tracks: [
+          { buffer: micBuffer, gain: switchAutomation(switches, 'mic', mix.micLevel), fade },
+          {
+            buffer: songBuffer,
+            when: (rec.songStart || 0) + (rec.latencyMs || 0) / 1000,
+            offset: rec.songOffset || 0,
+            length: rec.songEnd ? rec.songEnd - (rec.songOffset || 0) : 0,
+            gain: switchAutomation(switches, 'song', mix.songLevel),
+            fade,
+          },
+        ],
+      });
+      const blob = await CralkRender.rerecord({
+        segments: [{ url: rec.url, start: 0, end: rec.duration }],
+        audio,
+        mimeType: pickRecorderMimeType(),
+        onProgress: (fraction) => showBusy(`Rendu de la vidéo… ${Math.round(fraction * 100)} %`),
+      });
+      const take = { blob, switches };
+      TAKE_FIELDS.forEach((field) => {
+        if (!(field in take) && rec[field] !== undefined) take[field] = rec[field];
+      });
+      take.fileName = rec.fileName;
+      take.duration = rec.duration;
+      const edit = addRecordingEntry(take);
+      openModal(recordingsList.indexOf(edit));
+    } catch (err) {
+      console.error('Erreur lors du recalcul de la prise :', err);
+      alert('Le recalcul de la prise a échoué.');
+    } finally {
+      hideBusy();
+    }
+  }
+
+  if (modalTimeline) {
+    let scrubbing = false;
+    modalVideo.addEventListener('timeupdate', updateModalProgress);
+    modalTimeline.addEventListener('pointerdown', (e) => {
+      scrubbing = true;
+      modalTimeline.setPointerCapture(e.pointerId);
+      seekModalTimeline(e);
+    });
+    modalTimeline.addEventListener('pointermove', (e) => {
+      if (scrubbing) seekModalTimeline(e);
+    });
+    const endScrub = () => {
+      scrubbing = false;
+    };
+    modalTimeline.addEventListener('pointerup', endScrub);
+    modalTimeline.addEventListener('pointercancel', endScrub);
+    // Keep scrubbing and editing from swiping to another take
+    [modalTimeline, switchEditor].forEach((el) => {
+      ['touchstart', 'touchend'].forEach((type) => {
+        el.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+      });
+    });
+    editSwitchesBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (switchDraft) closeSwitchEditor();
+      else openSwitchEditor();
+    });
+    switchAddBtn.addEventListener('click', addSwitchAtPlayhead);
+    switchCloseBtn.addEventListener('click', closeSwitchEditor);
+    switchRenderBtn.addEventListener('click', () => {
+      const rec = recordingsList[currentModalIndex];
+      if (rec && switchDraft) rerenderSwitches(rec, switchDraft);
+    });
+  }
+
+  // ----- Clip editor -----
+
+  /**
+   * Open the clip editor for the take shown in the modal, with the whole
+   * take selected.
+   */
+  function openClipEditor() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec) return;
+    closeSwitchEditor();
+    closeLayersEditor();
+    clipDraft = { start: 0, end: takeDuration(rec) };
+    renderClipEditor();
+    clipEditor.style.display = 'block';
+  }
+
+  /**
+   * Close the clip editor.
+   */
+  function closeClipEditor() {
+    if (!clipEditor) return;
+    clipEditor.style.display = 'none';
+    clipDraft = null;
+  }
+
+  /**
+   * Fill the trim fields and the list of takes that can be joined to the
+   * one shown. That take is always part of the join.
+   */
+  function renderClipEditor() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !clipDraft) return;
+    const duration = takeDuration(rec);
+    [clipStartInput, clipEndInput].forEach((input) => {
+      input.max = String(duration);
+    });
+    clipStartInput.value = clipDraft.start.toFixed(1);
+    clipEndInput.value = clipDraft.end.toFixed(1);
+    clipJoinList.innerHTML = '';
+    recordingsList.forEach((other) => {
+      const item = document.createElement('li');
+      item.className = 'switch-row';
+      const label = document.createElement('label');
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = other === rec;
+      check.disabled = other === rec;
+      check.dataset.index = String(recordingsList.indexOf(other));
+      label.appendChild(check);
+      const title = other.title || other.fileName || 'Prise';
+      const number = other.takeNumber ? ` – prise ${other.takeNumber}` : '';
+      label.appendChild(document.createTextNode(` ${title}${number} (${formatTime(other.duration || 0)})`));
+      item.appendChild(label);
+      clipJoinList.appendChild(item);
+    });
+  }
 
-    // Ensure the camera preview resumes displaying the video feed after a recording.
-    // Without this, some devices may stop rendering the preview until the
-    // MediaStream is reattached. Reassigning the stream and calling play
-    // ensures the user sees the live camera again.
-    if (cameraStream) {
-      cameraPreview.srcObject = cameraStream;
-      try {
-        cameraPreview.play();
-      } catch (_) {
-        // ignore play errors (may occur if not allowed)
-      }
-    }
+  /**
+   * Read a trim field back into clipDraft, keeping start before end.
+   * @param {'start'|'end'} key
+   * @param {number} value seconds
+   */
+  function setClipBound(key, value) {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !clipDraft || isNaN(value)) return;
+    const duration = takeDuration(rec);
+    if (key === 'start') clipDraft.start = Math.min(Math.max(0, value), clipDraft.end);
+    else clipDraft.end = Math.max(Math.min(duration, value), clipDraft.start);
+    renderClipEditor();
   }
 
   /**
-   * Toggle which audio source (mic or song) is recorded. This does not
-   * interrupt playback of the song. When toggled, the gain values for
-   * microphone and song are swapped.
+   * Draw a frame scaled to fit the output, with black bars, so takes of
+   * different shapes can be joined.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {HTMLVideoElement} video
+   * @param {HTMLCanvasElement} canvas
    */
-  function toggleSource() {
-    if (!isRecording) return;
-    // Toggle between recording the song and the mic based on current state.
-    if (recordingSource === 'song') {
-      // We were recording the song; switch to the microphone
-      microGain.gain.value = 1;
-      songGain.gain.value = 0;
-      recordingSource = 'mic';
-      // Show mic icon and hide note icon
-      if (micIcon) micIcon.style.display = 'block';
-      if (noteToggleIcon) noteToggleIcon.style.display = 'none';
-    } else {
-      // We were recording the microphone; switch to the song
-      microGain.gain.value = 0;
-      songGain.gain.value = 1;
-      recordingSource = 'song';
-      // Show note icon and hide mic icon
-      if (micIcon) micIcon.style.display = 'none';
-      if (noteToggleIcon) noteToggleIcon.style.display = 'block';
-    }
+  function drawFitted(ctx, video, canvas) {
+    const scale = Math.min(canvas.width / (video.videoWidth || 1), canvas.height / (video.videoHeight || 1));
+    const width = (video.videoWidth || canvas.width) * scale;
+    const height = (video.videoHeight || canvas.height) * scale;
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(video, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
   }
 
   /**
-   * Switch the facing mode of the camera between user (front) and
-   * environment (rear) and reinitialise the stream.
+   * Render parts of takes back to back into a new video. The sound of each
+   * part is cut from its take and laid out offline, then the video is
+   * re-recorded with it. A part without `end` runs to the end of its take,
+   * measured on its decoded sound: the duration stored with a take is
+   * rounded to the second and would shift the parts that follow.
+   * @param {{rec: Object, start: number, end?: number}[]} parts
+   * @param {string} label prefix of the progress message
+   * @returns {Promise<{blob: Blob, duration: number}>}
    */
-  function switchCamera() {
-    currentFacing = currentFacing === 'user' ? 'environment' : 'user';
-    // Force reinitialisation du flux pour changer de caméra
-    initCamera(true);
+  async function renderClip(parts, label) {
+    showBusy(`${label}…`);
+    const buffers = await Promise.all(parts.map((part) => CralkRender.decodeAudio(part.rec.blob)));
+    const segments = parts.map((part, i) => ({
+      url: part.rec.url,
+      start: part.start,
+      end: part.end === undefined ? buffers[i].duration : Math.min(part.end, buffers[i].duration),
+    }));
+    let when = 0;
+    const tracks = segments.map((seg, i) => {
+      const track = { buffer: buffers[i], when, offset: seg.start, length: seg.end - seg.start };
+      when += seg.end - seg.start;
+      return track;
+    });
+    const audio = await CralkRender.renderMix({ duration: when, tracks });
+    const blob = await CralkRender.rerecord({
+      segments,
+      audio,
+      mimeType: pickRecorderMimeType(),
+      drawFrame: parts.length > 1 ? drawFitted : undefined,
+      onProgress: (fraction) => showBusy(`${label}… ${Math.round(fraction * 100)} %`),
+    });
+    return { blob, duration: when };
   }
 
   /**
-   * Slide to the gallery view by adding a class to the app container.
+   * Add an edited clip to the gallery as a new take; the originals are
+   * left untouched.
+   * @param {Object} source take the clip comes from (the first one for a join)
+   * @param {Blob} blob
+   * @param {number} duration seconds
+   * @returns {Object} the new entry
    */
-  function showGallery() {
-    // Collapse all open video containers before switching screens
-    collapseAllRecordings();
-    appContainer.classList.add('gallery-active');
+  function addClipEntry(source, blob, duration) {
+    const take = { blob, fileName: source.fileName, duration: Math.round(duration) };
+    CLIP_FIELDS.forEach((field) => {
+      if (source[field] !== undefined) take[field] = source[field];
+    });
+    return addRecordingEntry(take);
   }
 
   /**
-   * Slide back to the recorder view by removing the gallery class.
+   * Run an edit of the take shown in the modal and open its first result.
+   * @param {string} failure message shown if the edit fails
+   * @param {() => Promise<Object>} edit resolves with the first new entry
    */
-  function showRecorder() {
-    // Collapse all open video containers when returning to the recorder
-    collapseAllRecordings();
-    appContainer.classList.remove('gallery-active');
-    // Reuse the existing camera stream if it exists; otherwise request a new one.
-    if (cameraStream) {
-      cameraPreview.srcObject = cameraStream;
-      // Ensure the preview starts playing when returning to the recorder
-      try {
-        cameraPreview.play();
-      } catch (_) {
-        // ignore playback errors
-      }
-    } else {
-      initCamera();
+  async function runClipEdit(failure, edit) {
+    modalVideo.pause();
+    try {
+      const first = await edit();
+      openModal(recordingsList.indexOf(first));
+    } catch (err) {
+      console.error('Erreur lors du montage :', err);
+      alert(failure);
+    } finally {
+      hideBusy();
     }
   }
 
   /**
-   * Collapse all recordings by hiding their video containers and resetting playback.
+   * Keep only the selected part of the take.
    */
-  function collapseAllRecordings() {
-    const items = recordingsContainer.children;
-    for (const item of items) {
-      // second div holds video container according to structure: info div + videoContainer
-      const containers = item.querySelectorAll('div');
-      if (containers.length > 1) {
-        const vContainer = containers[1];
-        if (vContainer && vContainer.style.display !== 'none') {
-          // pause and reset video
-          const video = vContainer.querySelector('video');
-          if (video) {
-            video.pause();
-            video.currentTime = 0;
-          }
-          vContainer.style.display = 'none';
-        }
-      }
+  function trimClip() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !clipDraft) return;
+    const { start, end } = clipDraft;
+    if (end - start < 0.5) {
+      alert('Le passage choisi est trop court.');
+      return;
     }
+    runClipEdit('Le rognage de la prise a échoué.', async () => {
+      const clip = await renderClip([{ rec, start, end }], 'Rognage');
+      return addClipEntry(rec, clip.blob, clip.duration);
+    });
   }
 
   /**
-   * Hide the splash screen once the app has completed initialisation. This
-   * function removes the splash element from the DOM to reveal the main
-   * interface. It is called after the camera is ready so that users see
-   * the logo while permissions are being requested.
+   * Cut the take in two at the playhead.
    */
-  function hideSplash() {
-    const splash = document.getElementById('splash-screen');
-    if (splash) {
-      splash.style.display = 'none';
+  function splitClip() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec) return;
+    const duration = takeDuration(rec);
+    const at = modalVideo.currentTime;
+    if (at < 0.5 || at > duration - 0.5) {
+      alert('Placez la lecture à l’endroit où couper la prise.');
+      return;
     }
+    runClipEdit('La découpe de la prise a échoué.', async () => {
+      const firstClip = await renderClip([{ rec, start: 0, end: at }], 'Découpe 1/2');
+      const secondClip = await renderClip([{ rec, start: at }], 'Découpe 2/2');
+      const first = addClipEntry(rec, firstClip.blob, firstClip.duration);
+      addClipEntry(rec, secondClip.blob, secondClip.duration);
+      return first;
+    });
   }
 
-  // ----- Event listeners -----
-  fileInput.addEventListener('change', handleFileSelection);
-  switchCameraBtn.addEventListener('click', switchCamera);
-  toggleSourceBtn.addEventListener('click', toggleSource);
-  recordButton.addEventListener('click', () => {
-    if (!isRecording) {
-      startRecording();
-    } else {
-      stopRecording();
+  /**
+   * Join the checked takes, whole, in recording order.
+   */
+  function joinClips() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec) return;
+    const recs = Array.from(clipJoinList.querySelectorAll('input:checked'))
+      .map((check) => recordingsList[Number(check.dataset.index)])
+      .filter(Boolean);
+    if (recs.length < 2) {
+      alert('Cochez au moins une autre prise à assembler.');
+      return;
     }
-  });
-
-  // Gallery control: delete all recordings
-  if (deleteAllBtn) {
-    deleteAllBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      // Remove all recorded items and revoke their object URLs
-      while (recordingsContainer.firstChild) {
-        const child = recordingsContainer.firstChild;
-        const videoEl = child.querySelector('video');
-        if (videoEl && videoEl.src) {
-          URL.revokeObjectURL(videoEl.src);
-        }
-        recordingsContainer.removeChild(child);
-      }
-      // Clear the recordings list as well
-      recordingsList.splice(0, recordingsList.length);
+    runClipEdit("L'assemblage des prises a échoué.", async () => {
+      const parts = recs.map((other) => ({ rec: other, start: 0 }));
+      const clip = await renderClip(parts, 'Assemblage');
+      return addClipEntry(recs[0], clip.blob, clip.duration);
     });
   }
 
-  // Gallery control: download all recordings and then clear them
-  if (downloadAllBtn) {
-    downloadAllBtn.addEventListener('click', (e) => {
+  if (clipEditor) {
+    // Keep editing from swiping to another take
+    ['touchstart', 'touchend'].forEach((type) => {
+      clipEditor.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+    editClipBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      if (recordingsList.length === 0) return;
-      // Create hidden anchor and trigger downloads sequentially. Use the recordingsList
-      recordingsList.forEach((rec, idx) => {
-        setTimeout(() => {
-          const a = document.createElement('a');
-          a.href = rec.url;
-          a.download = 'cralk-recording.webm';
-          a.style.display = 'none';
-          document.body.appendChild(a);
-          try {
-            a.click();
-          } catch (err) {
-            console.warn('Erreur lors du clic de téléchargement :', err);
-          }
-          document.body.removeChild(a);
-        }, idx * 300);
-      });
-      // After the last download, clear all recordings and the list
-      const totalDelay = recordingsList.length * 300 + 800;
-      setTimeout(() => {
-        while (recordingsContainer.firstChild) {
-          const child = recordingsContainer.firstChild;
-          const videoEl = child.querySelector('video');
-          if (videoEl && videoEl.src) {
-            URL.revokeObjectURL(videoEl.src);
-          }
-          recordingsContainer.removeChild(child);
-        }
-        recordingsList.splice(0, recordingsList.length);
-      }, totalDelay);
+      if (clipDraft) closeClipEditor();
+      else openClipEditor();
     });
+    clipStartInput.addEventListener('change', () => setClipBound('start', parseFloat(clipStartInput.value)));
+    clipEndInput.addEventListener('change', () => setClipBound('end', parseFloat(clipEndInput.value)));
+    clipStartHereBtn.addEventListener('click', () => setClipBound('start', modalVideo.currentTime));
+    clipEndHereBtn.addEventListener('click', () => setClipBound('end', modalVideo.currentTime));
+    clipTrimBtn.addEventListener('click', trimClip);
+    clipSplitBtn.addEventListener('click', splitClip);
+    clipJoinBtn.addEventListener('click', joinClips);
+    clipCloseBtn.addEventListener('click', closeClipEditor);
   }
 
-  // Gallery control: help button placeholder
-  if (helpBtn) {
-    helpBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      alert('Aide : cette fonctionnalité sera disponible prochainement.');
-    });
+  // ----- Overdub -----
+
+  /**
+   * Sing over a previous take: it replaces the song of the next takes until
+   * the mode is left.
+   * @param {Object} rec entry of recordingsList
+   */
+  function startOverdub(rec) {
+    if (isRecording) return;
+    overdubBase = rec;
+    closeModal();
+    showRecorder();
+    prepareOverdubVideo();
+    overdubInfo.textContent = `Sur : ${rec.title || rec.fileName || 'prise'}`;
+    overdubBar.style.display = 'flex';
+    recordButton.disabled = false;
   }
-  // Swipe detection for switching screens
-  let touchStartX = null;
-  appContainer.addEventListener(
-    'touchstart',
-    (e) => {
-      if (e.changedTouches.length > 0) {
-        touchStartX = e.changedTouches[0].clientX;
-      }
-    },
-    { passive: true }
-  );
-  appContainer.addEventListener(
-    'touchend',
-    (e) => {
-      if (touchStartX === null) return;
-      const diffX = e.changedTouches[0].clientX - touchStartX;
-      if (Math.abs(diffX) > 50) {
-        if (diffX < 0) {
-          showGallery();
-        } else {
-          showRecorder();
-        }
-      }
-      touchStartX = null;
-    },
-    { passive: true }
-  );
 
-  // ----- Initialisation -----
-  // Request access to the camera and microphone once on initial load. The splash
-  // screen will be hidden regardless of whether access is granted, so the
-  // interface appears once permissions have been handled.
-  initCamera()
-    .catch(() => {})
-    .finally(() => {
-      hideSplash();
-    });
-  // Register service worker for offline capability and updates
-  if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-      navigator.serviceWorker
-        .register('/sw.js')
-        .catch((err) => console.error('Échec enregistrement ServiceWorker :', err));
-    });
+  /**
+   * Leave overdub mode and go back to recording over songs.
+   */
+  function exitOverdub() {
+    if (isRecording) return;
+    overdubBase = null;
+    overdubVideo = null;
+    overdubFrame.innerHTML = '';
+    overdubBar.style.display = 'none';
+    recordButton.disabled = !selectedFile;
   }
 
-  // Orientation handling: add or remove a class on the body to indicate when
-  // the device is in landscape mode. This is used to rotate button labels
-  // while keeping the control bar anchored at the bottom.
-  function updateOrientationClass() {
-    const isLandscape = window.matchMedia('(orientation: landscape)').matches;
-    if (isLandscape) {
-      document.body.classList.add('landscape');
-    } else {
-      document.body.classList.remove('landscape');
-    }
+  /**
+   * Put a fresh video element of the take sung over in the overdub bar. A
+   * media element can only feed one audio context, so each take gets its
+   * own.
+   */
+  function prepareOverdubVideo() {
+    overdubFrame.innerHTML = '';
+    overdubVideo = document.createElement('video');
+    overdubVideo.playsInline = true;
+    overdubVideo.preload = 'auto';
+    overdubVideo.src = overdubBase.url;
+    overdubVideo.load();
+    overdubFrame.appendChild(overdubVideo);
   }
-  // Run once at start and whenever the orientation changes or the window is resized
-  updateOrientationClass();
-  window.addEventListener('orientationchange', updateOrientationClass);
-  window.addEventListener('resize', updateOrientationClass);
 
-  // ----- Modal functions for viewing recordings -----
+  /**
+   * Play the take sung over, in place of the song (see startSong). Both
+   * layers are recorded all along, so there is nothing to toggle.
+   */
+  function startBacking() {
+    if (!songClone) return;
+    songClone.currentTime = 0;
+    songClone.muted = false;
+    recordingSource = 'song';
+    applyMix(0);
+    songStartedAt = recordingElapsed();
+    logSourceSwitch();
+    songClone.play().catch((err) => console.warn('Erreur lecture (superposition) :', err));
+    songPlaying = true;
+    songClone.onended = () => {
+      if (isRecording) stopRecording();
+    };
+    toggleSourceBtn.disabled = true;
+  }
 
   /**
-   * Open the modal to view a recording at the given index. Loads the video
-   * source, plays it and updates the current index. If the index is
-   * invalid, the modal is not displayed.
-   * @param {number} index
+   * Compositor layer adding the take sung over: inset in the top left
+   * corner, or on the left half with the camera on the right.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} width
+   * @param {number} height
    */
-  function openModal(index) {
-    const rec = recordingsList[index];
-    if (!rec) return;
-    // Stop any currently playing modal video
-    if (!modalVideo.paused) {
-      modalVideo.pause();
+  function drawOverdubLayer(ctx, width, height) {
+    const base = songClone;
+    if (!base || base.readyState < 2 || !compositor) return;
+    if (settings.mix.overdubLayout === 'side') {
+      const half = Math.round(width / 2);
+      ctx.fillStyle = '#000000';
+      ctx.fillRect(0, 0, width, height);
+      CralkCompositor.drawCover(ctx, base, 0, 0, half, height);
+      CralkCompositor.drawCover(ctx, compositor.source, half, 0, width - half, height);
+      return;
     }
-    modalVideo.src = rec.url;
-    modalVideo.currentTime = 0;
-    modalVideo.play().catch(() => {});
-    videoModal.style.display = 'flex';
-    currentModalIndex = index;
+    const margin = Math.min(width, height) / 20;
+    const insetWidth = width * OVERDUB_INSET;
+    const ratio = base.videoWidth ? base.videoHeight / base.videoWidth : 16 / 9;
+    const insetHeight = Math.min(height * 0.45, insetWidth * ratio);
+    CralkCompositor.drawCover(ctx, base, margin, margin, insetWidth, insetHeight);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(2, margin / 8);
+    ctx.strokeRect(margin, margin, insetWidth, insetHeight);
   }
 
   /**
-   * Close the modal and stop playback of the current video.
+   * Data of an overdub take. The take sung over is kept as a layer next to
+   * the raw mic, so the level of each can be changed afterwards; it also
+   * passes on the description of its song.
+   * @param {Blob} blob recorded video
+   * @param {number} duration seconds
+   * @returns {Object} fields for addRecordingEntry
    */
-  function closeModal() {
-    if (!modalVideo.paused) {
-      modalVideo.pause();
-    }
-    videoModal.style.display = 'none';
-    currentModalIndex = null;
+  function overdubTake(blob, duration) {
+    const base = overdubBase;
+    const take = {
+      blob,
+      fileName: base.fileName,
+      duration,
+      overdubBlob: base.blob,
+      songStart: songStartedAt,
+      mix: Object.assign({}, settings.mix),
+      latencyMs: recordingLatencyMs,
+    };
+    CLIP_FIELDS.forEach((field) => {
+      if (base[field] !== undefined) take[field] = base[field];
+    });
+    if (base.songKey) take.takeNumber = nextTakeNumber(base.songKey);
+    return take;
   }
 
   /**
-   * Show the next recording in the modal. Wraps around at the end.
+   * Open the layer editor of the overdub shown in the modal, with the
+   * levels it was recorded with.
    */
-  function nextModal() {
-    if (currentModalIndex === null) return;
-    let nextIndex = currentModalIndex + 1;
-    if (nextIndex >= recordingsList.length) nextIndex = 0;
-    openModal(nextIndex);
+  function openLayersEditor() {
+    const rec = recordingsList[currentModalIndex];
+    if (!rec || !rec.overdubBlob) return;
+    closeSwitchEditor();
+    closeClipEditor();
+    const mix = Object.assign({}, settings.mix, rec.mix);
+    layerNewInput.value = mix.micLevel;
+    layerBaseInput.value = mix.songLevel;
+    layersEditor.style.display = 'block';
   }
 
   /**
-   * Show the previous recording in the modal. Wraps around to the last.
+   * Close the layer editor.
    */
-  function prevModal() {
-    if (currentModalIndex === null) return;
-    let prevIndex = currentModalIndex - 1;
-    if (prevIndex < 0) prevIndex = recordingsList.length - 1;
-    openModal(prevIndex);
+  function closeLayersEditor() {
+    if (layersEditor) layersEditor.style.display = 'none';
+  }
+
+  /**
+   * Mix the layers of an overdub again with other levels, then re-record
+   * its video with the new sound track. The result is added as a new take
+   * next to the original, and can itself be adjusted again.
+   * @param {Object} rec entry of recordingsList
+   * @param {number} micLevel level of the new voice
+   * @param {number} baseLevel level of the take sung over
+   */
+  async function rerenderLayers(rec, micLevel, baseLevel) {
+    if (!rec.micBlob || !rec.overdubBlob) {
+      alert("Cette prise ne contient pas ses couches d'origine : l'audio ne peut pas être recalculé.");
+      return;
+    }
+    modalVideo.pause();
+    showBusy("Recalcul de l'audio…");
+    try {
+      const [micBuffer, baseBuffer] = await Promise.all([
+        CralkRender.decodeAudio(rec.micBlob),
+        CralkRender.decodeAudio(rec.overdubBlob),
+      ]);
+      const audio = await CralkRender.renderMix({
+        duration: rec.duration,
+        tracks: [
+          { buffer: micBuffer, gain: micLevel },
+          { buffer: baseBuffer, when: (rec.songStart || 0) + (rec.latencyMs || 0) / 1000, gain: baseLevel },
+        ],
+      });
+      const blob = await CralkRender.rerecord({
+        segments: [{ url: rec.url, start: 0, end: rec.duration }],
+        audio,
+        mimeType: pickRecorderMimeType(),
+        onProgress: (fraction) => showBusy(`Rendu de la vidéo… ${Math.round(fraction * 100)} %`),
+      });
+      const take = { blob, mix: Object.assign({}, settings.mix, rec.mix, { micLevel, songLevel: baseLevel }) };
+      TAKE_FIELDS.forEach((field) => {
+        if (!(field in take) && rec[field] !== undefined) take[field] = rec[field];
+      });
+      take.fileName = rec.fileName;
+      take.duration = rec.duration;
+      const edit = addRecordingEntry(take);
+      openModal(recordingsList.indexOf(edit));
+    } catch (err) {
+      console.error('Erreur lors du recalcul de la superposition :', err);
+      alert('Le recalcul de la superposition a échoué.');
+    } finally {
+      hideBusy();
+    }
+  }
+
+  if (overdubBar) {
+    // Keep the bar from swiping to the gallery
+    ['touchstart', 'touchend'].forEach((type) => {
+      overdubBar.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+    overdubExitBtn.addEventListener('click', exitOverdub);
+  }
+  if (layersEditor) {
+    ['touchstart', 'touchend'].forEach((type) => {
+      layersEditor.addEventListener(type, (e) => e.stopPropagation(), { passive: true });
+    });
+    overdubStartBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const rec = recordingsList[currentModalIndex];
+      if (rec) startOverdub(rec);
+    });
+    editLayersBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (layersEditor.style.display === 'block') closeLayersEditor();
+      else openLayersEditor();
+    });
+    layersRenderBtn.addEventListener('click', () => {
+      const rec = recordingsList[currentModalIndex];
+      if (rec) rerenderLayers(rec, parseFloat(layerNewInput.value), parseFloat(layerBaseInput.value));
+    });
+    layersCloseBtn.addEventListener('click', closeLayersEditor);
+  }
+
+  // Share the recording currently shown in the modal
+  if (shareModalBtn) {
+    shareModalBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const rec = recordingsList[currentModalIndex];
+      if (rec) shareRecordings([rec]);
+    });
   }
 
   // Close the modal when the close button is clicked
@@ -808,18 +5813,24 @@
     });
   }
 
-  // Swipe detection within the modal for navigating between recordings
+  // Swipe detection within the modal: sideways to navigate between
+  // recordings, down to close
   let modalStartX = null;
+  let modalStartY = null;
   if (videoModal) {
     videoModal.addEventListener('touchstart', (e) => {
       if (e.changedTouches.length > 0) {
         modalStartX = e.changedTouches[0].clientX;
+        modalStartY = e.changedTouches[0].clientY;
       }
     }, { passive: true });
     videoModal.addEventListener('touchend', (e) => {
       if (modalStartX === null) return;
       const diffX = e.changedTouches[0].clientX - modalStartX;
-      if (Math.abs(diffX) > 50) {
+      const diffY = e.changedTouches[0].clientY - modalStartY;
+      if (diffY > MODAL_CLOSE_SWIPE_PX && diffY > Math.abs(diffX)) {
+        closeModal();
+      } else if (Math.abs(diffX) > MODAL_SWIPE_PX) {
         if (diffX < 0) {
           nextModal();
         } else {
@@ -827,6 +5838,49 @@
         }
       }
       modalStartX = null;
+      modalStartY = null;
     }, { passive: true });
   }
+
+  // Viewer buttons, speed and keyboard shortcuts
+  if (prevModalBtn) {
+    prevModalBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      prevModal();
+    });
+    nextModalBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      nextModal();
+    });
+    infoModalBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      modalInfo.style.display = modalInfo.style.display === 'none' ? 'grid' : 'none';
+    });
+    modalSpeed.addEventListener('change', () => {
+      modalVideo.defaultPlaybackRate = parseFloat(modalSpeed.value) || 1;
+      modalVideo.playbackRate = modalVideo.defaultPlaybackRate;
+    });
+    frameBackBtn.addEventListener('click', () => stepFrame(-1));
+    frameForwardBtn.addEventListener('click', () => stepFrame(1));
+    // The picture size is known once the video is loaded
+    modalVideo.addEventListener('loadedmetadata', () => {
+      const rec = recordingsList[currentModalIndex];
+      if (rec) renderModalInfo(rec);
+    });
+    document.addEventListener('keydown', handleModalKey);
+  }
+
+  // Back and forward buttons: open the take linked from the URL, or close
+  // the modal when leaving its history entry
+  window.addEventListener('popstate', () => {
+    const index = linkedRecordingIndex();
+    if (index !== -1) {
+      openModal(index);
+      return;
+    }
+    if (location.hash.startsWith(MODAL_HASH)) {
+      history.replaceState(null, '', location.pathname + location.search);
+    }
+    if (currentModalIndex !== null) hideModal();
+  });
 })();
@@ -0,0 +1,941 @@
+/*
+ * remux.js – CRALK PWA
+ *
+ * Converts WebM recordings to MP4 entirely on the device. Many browsers can
+ * only record WebM, which a lot of phones and social apps refuse to play.
+ *
+ * The conversion works in three steps:
+ *   1. a small Matroska/WebM demuxer extracts the encoded frames;
+ *   2. when WebCodecs is available, video is re-encoded to H.264 and Opus
+ *      audio to AAC. If the device has no H.264/AAC encoder, VP9 video and
+ *      Opus audio are copied as-is (both have an official MP4 mapping);
+ *   3. a minimal ISO BMFF muxer writes a progressive MP4 file with the
+ *      index (moov) placed before the media data.
+ *
+ * Nothing is sent over the network. `CralkRemux.toMp4()` resolves with
+ * `null` when the recording cannot be expressed as MP4 on this device
+ * (for example VP8 video without an H.264 encoder).
+ */
+
+const CralkRemux = (function () {
+  // ----- WebM demuxer -----
+
+  // Element IDs we care about (with their length marker bits kept)
+  const EBML_IDS = {
+    Segment: 0x18538067,
+    Info: 0x1549a966,
+    TimecodeScale: 0x2ad7b1,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63a2,
+    CodecDelay: 0x56aa,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Audio: 0xe1,
+    SamplingFrequency: 0xb5,
+    Channels: 0x9f,
+    Cluster: 0x1f43b675,
+    Timecode: 0xe7,
+    SimpleBlock: 0xa3,
+    BlockGroup: 0xa0,
+    Block: 0xa1,
+    ReferenceBlock: 0xfb,
+  };
+
+  // Master elements whose children we walk into. Every other element is
+  // either read as a value or skipped.
+  const CONTAINER_IDS = new Set([
+    EBML_IDS.Segment,
+    EBML_IDS.Info,
+    EBML_IDS.Tracks,
+    EBML_IDS.TrackEntry,
+    EBML_IDS.Video,
+    EBML_IDS.Audio,
+    EBML_IDS.Cluster,
+    EBML_IDS.BlockGroup,
+  ]);
+
+  /**
+   * Read an EBML variable-length integer.
+   * @param {Uint8Array} bytes
+   * @param {number} pos
+   * @param {boolean} keepMarker keep the length marker (element IDs)
+   * @returns {{value: number, length: number, unknown: boolean}|null}
+   */
+  function readVint(bytes, pos, keepMarker) {
+    if (pos >= bytes.length) return null;
+    const first = bytes[pos];
+    let length = 1;
+    let mask = 0x80;
+    while (length <= 8 && !(first & mask)) {
+      length += 1;
+      mask >>= 1;
+    }
+    if (length > 8 || pos + length > bytes.length) return null;
+    let value = keepMarker ? first : first & (mask - 1);
+    let allOnes = (first & (mask - 1)) === mask - 1;
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[pos + i];
+      if (bytes[pos + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+  }
+
+  /**
+   * Read a big endian unsigned integer.
+   * @param {Uint8Array} bytes
+   * @param {number} pos
+   * @param {number} length in bytes, up to 8
+   * @returns {number}
+   */
+  function readUint(bytes, pos, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = value * 256 + bytes[pos + i];
+    return value;
+  }
+
+  /**
+   * Read a big endian float.
+   * @param {Uint8Array} bytes
+   * @param {number} pos
+   * @param {number} length 4 or 8 bytes
+   * @returns {number}
+   */
+  function readFloat(bytes, pos, length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + pos, length);
+    return length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+  }
+
+  /**
+   * Read an ASCII string, stopping at the first NUL byte.
+   * @param {Uint8Array} bytes
+   * @param {number} pos
+   * @param {number} length in bytes
+   * @returns {string}
+   */
+  function readString(bytes, pos, length) {
+    let text = '';
+    for (let i = 0; i < length && bytes[pos + i] !== 0; i++) {
+      text += String.fromCharCode(bytes[pos + i]);
+    }
+    return text;
+  }
+
+  /**
+   * Parse a WebM file into its tracks and frames. Frame data are views into
+   * `bytes`, nothing is copied. Truncated files (for example a take
+   * recovered after a crash) are parsed up to the last complete element.
+   * @param {Uint8Array} bytes
+   * @returns {{tracks: Object[]}}
+   */
+  function parseWebM(bytes) {
+    const tracks = [];
+    let track = null;
+    let timecodeScale = 1000000; // nanoseconds per tick (default 1 ms)
+    let clusterTime = 0;
+    let lastBlockFrame = null;
+    let pos = 0;
+
+    while (pos < bytes.length) {
+      const id = readVint(bytes, pos, true);
+      if (!id) break;
+      const size = readVint(bytes, pos + id.length, false);
+      if (!size) break;
+      const dataStart = pos + id.length + size.length;
+
+      if (CONTAINER_IDS.has(id.value)) {
+        if (id.value === EBML_IDS.TrackEntry) {
+          track = { number: 0, type: 0, codecId: '', codecPrivate: null, codecDelay: 0, frames: [] };
+          tracks.push(track);
+        }
+        // Enter the element: its children follow immediately. Unknown sizes
+        // (live MediaRecorder output) are handled naturally this way.
+        pos = dataStart;
+        continue;
+      }
+
+      if (size.unknown) break;
+      const dataEnd = dataStart + size.value;
+      if (dataEnd > bytes.length) break;
+
+      switch (id.value) {
+        case EBML_IDS.TimecodeScale:
+          timecodeScale = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.TrackNumber:
+          if (track) track.number = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.TrackType:
+          if (track) track.type = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.CodecID:
+          if (track) track.codecId = readString(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.CodecPrivate:
+          if (track) track.codecPrivate = bytes.subarray(dataStart, dataEnd);
+          break;
+        case EBML_IDS.CodecDelay:
+          if (track) track.codecDelay = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.PixelWidth:
+          if (track) track.width = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.PixelHeight:
+          if (track) track.height = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.SamplingFrequency:
+          if (track) track.sampleRate = readFloat(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.Channels:
+          if (track) track.channels = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.Timecode:
+          clusterTime = readUint(bytes, dataStart, size.value);
+          break;
+        case EBML_IDS.SimpleBlock:
+        case EBML_IDS.Block: {
+          const trackNum = readVint(bytes, dataStart, false);
+          const headerEnd = dataStart + trackNum.length + 3;
+          const relative = new DataView(bytes.buffer, bytes.byteOffset + dataStart + trackNum.length, 2).getInt16(0);
+          const flags = bytes[dataStart + trackNum.length + 2];
+          if (flags & 0x06) {
+            throw new Error('WebM : les blocs avec laçage ne sont pas pris en charge');
+          }
+          const owner = tracks.find((t) => t.number === trackNum.value);
+          if (owner) {
+            const frame = {
+              // microseconds
+              timestamp: Math.round(((clusterTime + relative) * timecodeScale) / 1000),
+              data: bytes.subarray(headerEnd, dataEnd),
+              key: id.value === EBML_IDS.SimpleBlock ? !!(flags & 0x80) : true,
+            };
+            owner.frames.push(frame);
+            lastBlockFrame = id.value === EBML_IDS.Block ? frame : null;
+          }
+          break;
+        }
+        case EBML_IDS.ReferenceBlock:
+          // A Block that references another frame is not a keyframe
+          if (lastBlockFrame) lastBlockFrame.key = false;
+          break;
+        default:
+          break;
+      }
+      pos = dataEnd;
+    }
+
+    tracks.forEach((t) => t.frames.sort((a, b) => a.timestamp - b.timestamp));
+    return { tracks };
+  }
+
+  // ----- MP4 muxer -----
+
+  /**
+   * Join byte arrays into one.
+   * @param {Uint8Array[]} parts
+   * @returns {Uint8Array}
+   */
+  function concatBytes(parts) {
+    let length = 0;
+    parts.forEach((p) => {
+      length += p.length;
+    });
+    const out = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach((p) => {
+      out.set(p, offset);
+      offset += p.length;
+    });
+    return out;
+  }
+
+  // Big endian integers and box types as byte lists, for building boxes
+  function u8(v) {
+    return [v & 0xff];
+  }
+  function u16(v) {
+    return [(v >> 8) & 0xff, v & 0xff];
+  }
+  function u32(v) {
+    return [(v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff];
+  }
+  function u64(v) {
+    const high = Math.floor(v / 0x100000000);
+    return u32(high).concat(u32(v >>> 0));
+  }
+  function fourcc(type) {
+    return [type.charCodeAt(0), type.charCodeAt(1), type.charCodeAt(2), type.charCodeAt(3)];
+  }
+
+  /**
+   * Build a box from its type and payload parts (byte arrays or
+   * Uint8Arrays, which may themselves be boxes).
+   * @param {string} type
+   * @param {...(number[]|Uint8Array)} parts
+   * @returns {Uint8Array}
+   */
+  function box(type, ...parts) {
+    const payload = concatBytes(parts.map((p) => (p instanceof Uint8Array ? p : Uint8Array.from(p))));
+    return concatBytes([Uint8Array.from(u32(payload.length + 8).concat(fourcc(type))), payload]);
+  }
+
+  /**
+   * Build a full box: a box whose payload starts with a version and
+   * 24 bits of flags.
+   * @param {string} type
+   * @param {number} version
+   * @param {number} flags
+   * @param {...(number[]|Uint8Array)} parts
+   * @returns {Uint8Array}
+   */
+  function fullBox(type, version, flags, ...parts) {
+    return box(type, [version].concat(u32(flags).slice(1)), ...parts);
+  }
+
+  const UNITY_MATRIX = [].concat(
+    u32(0x00010000), u32(0), u32(0),
+    u32(0), u32(0x00010000), u32(0),
+    u32(0), u32(0), u32(0x40000000)
+  );
+
+  /**
+   * Sample entry shared by video codecs, followed by the codec's
+   * configuration box.
+   * @param {string} type sample entry type ('avc1', 'vp09')
+   * @param {number} width
+   * @param {number} height
+   * @param {Uint8Array} configBox
+   * @returns {Uint8Array}
+   */
+  function visualSampleEntry(type, width, height, configBox) {
+    const compressorName = new Array(32).fill(0);
+    return box(
+      type,
+      [0, 0, 0, 0, 0, 0], u16(1), // reserved, data_reference_index
+      u16(0), u16(0), u32(0), u32(0), u32(0), // pre_defined / reserved
+      u16(width), u16(height),
+      u32(0x00480000), u32(0x00480000), // 72 dpi
+      u32(0), u16(1), // reserved, frame_count
+      compressorName,
+      u16(0x0018), u16(0xffff), // depth, pre_defined
+      configBox
+    );
+  }
+
+  /**
+   * Sample entry shared by audio codecs, followed by the codec's
+   * configuration box.
+   * @param {string} type sample entry type ('mp4a', 'Opus')
+   * @param {number} channels
+   * @param {number} sampleRate Hz
+   * @param {Uint8Array} configBox
+   * @returns {Uint8Array}
+   */
+  function audioSampleEntry(type, channels, sampleRate, configBox) {
+    return box(
+      type,
+      [0, 0, 0, 0, 0, 0], u16(1),
+      u32(0), u32(0), // reserved
+      u16(channels), u16(16), u16(0), u16(0),
+      u32((sampleRate & 0xffff) * 0x10000),
+      configBox
+    );
+  }
+
+  /**
+   * Build an MPEG-4 descriptor (ES, decoder config…) with its size written
+   * on four bytes.
+   * @param {number} tag
+   * @param {(number[]|Uint8Array)[]} parts
+   * @returns {Uint8Array}
+   */
+  function descriptor(tag, parts) {
+    const payload = concatBytes(parts.map((p) => (p instanceof Uint8Array ? p : Uint8Array.from(p))));
+    const n = payload.length;
+    const header = [tag, 0x80 | ((n >> 21) & 0x7f), 0x80 | ((n >> 14) & 0x7f), 0x80 | ((n >> 7) & 0x7f), n & 0x7f];
+    return concatBytes([Uint8Array.from(header), payload]);
+  }
+
+  /**
+   * Sample entry for AAC audio ('mp4a' with an ES descriptor).
+   * @param {number} channels
+   * @param {number} sampleRate Hz
+   * @param {Uint8Array} audioSpecificConfig
+   * @returns {Uint8Array}
+   */
+  function mp4aEntry(channels, sampleRate, audioSpecificConfig) {
+    const decoderSpecificInfo = descriptor(0x05, [audioSpecificConfig]);
+    const decoderConfig = descriptor(0x04, [
+      [0x40, 0x15], // MPEG-4 audio, audio stream
+      [0, 0, 0], // bufferSizeDB
+      u32(0), u32(0), // max / avg bitrate
+      decoderSpecificInfo,
+    ]);
+    const esDescriptor = descriptor(0x03, [u16(1), [0], decoderConfig, descriptor(0x06, [[0x02]])]);
+    return audioSampleEntry('mp4a', channels, sampleRate, fullBox('esds', 0, 0, esDescriptor));
+  }
+
+  /**
+   * Sample entry for Opus audio. The Matroska CodecPrivate holds an
+   * OpusHead structure (little endian) which maps to the big endian dOps
+   * box of the Opus-in-ISOBMFF specification.
+   * @param {number} channels used when there is no OpusHead
+   * @param {Uint8Array|null} opusHead
+   * @returns {Uint8Array}
+   */
+  function opusEntry(channels, opusHead) {
+    let preSkip = 312;
+    let inputRate = 48000;
+    let gain = 0;
+    if (opusHead && opusHead.length >= 19) {
+      const view = new DataView(opusHead.buffer, opusHead.byteOffset, opusHead.length);
+      channels = opusHead[9];
+      preSkip = view.getUint16(10, true);
+      inputRate = view.getUint32(12, true);
+      gain = view.getInt16(16, true);
+    }
+    const dOps = box('dOps', [0, channels], u16(preSkip), u32(inputRate), u16(gain & 0xffff), [0]);
+    return audioSampleEntry('Opus', channels, 48000, dOps);
+  }
+
+  /**
+   * Sample entry for VP9 video copied as is.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Uint8Array}
+   */
+  function vp09Entry(width, height) {
+    // Profile 0, 8 bit, 4:2:0 colocated, BT.709; level from the frame size
+    const pixels = width * height;
+    const level = pixels > 2228224 ? 50 : pixels > 983040 ? 40 : 31;
+    const vpcC = fullBox('vpcC', 1, 0, [0, level, (8 << 4) | (1 << 1), 1, 1, 1], u16(0));
+    return visualSampleEntry('vp09', width, height, vpcC);
+  }
+
+  /**
+   * Sample entry for H.264 video.
+   * @param {number} width
+   * @param {number} height
+   * @param {Uint8Array} avcDecoderConfig AVCDecoderConfigurationRecord
+   * @returns {Uint8Array}
+   */
+  function avc1Entry(width, height, avcDecoderConfig) {
+    return visualSampleEntry('avc1', width, height, box('avcC', avcDecoderConfig));
+  }
+
+  /**
+   * Turn frames with microsecond timestamps into samples expressed in the
+   * track timescale. Durations are derived from the next timestamp so
+   * rounding errors do not accumulate.
+   * @param {{timestamp: number, data: Uint8Array, key: boolean}[]} frames
+   * @param {number} timescale
+   * @param {number} defaultDuration fallback in microseconds
+   * @returns {{data: Uint8Array, duration: number, key: boolean}[]}
+   */
+  function framesToSamples(frames, timescale, defaultDuration) {
+    const start = frames.length ? frames[0].timestamp : 0;
+    const times = frames.map((f) => Math.round(((f.timestamp - start) * timescale) / 1e6));
+    const fallback = Math.max(1, Math.round((defaultDuration * timescale) / 1e6));
+    return frames.map((f, i) => {
+      let duration = i + 1 < times.length ? times[i + 1] - times[i] : fallback;
+      if (duration <= 0) duration = 1;
+      return { data: f.data, duration, key: f.key };
+    });
+  }
+
+  /**
+   * Build the 'trak' box of a prepared track (see writeMp4), with one
+   * sample per chunk.
+   * @param {Object} track
+   * @param {number} trackId starting at 1
+   * @param {number} movieTimescale
+   * @param {number[]} offsets position of each sample in the file
+   * @returns {Uint8Array}
+   */
+  function trackBox(track, trackId, movieTimescale, offsets) {
+    const samples = track.samples;
+    const mediaDuration = samples.reduce((sum, s) => sum + s.duration, 0);
+    const movieDuration = Math.round((mediaDuration * movieTimescale) / track.timescale);
+    const startDelay = Math.round((track.startTime * movieTimescale) / 1e6);
+    const isVideo = track.kind === 'video';
+
+    // stts: run-length encoded sample durations
+    const stts = [];
+    samples.forEach((s) => {
+      const last = stts[stts.length - 1];
+      if (last && last[1] === s.duration) last[0] += 1;
+      else stts.push([1, s.duration]);
+    });
+    const sttsBytes = [].concat(u32(stts.length), ...stts.map(([count, delta]) => u32(count).concat(u32(delta))));
+
+    const stszBytes = [].concat(u32(0), u32(samples.length), ...samples.map((s) => u32(s.data.length)));
+    const useCo64 = offsets.length && offsets[offsets.length - 1] > 0xffffffff;
+    const stcoBytes = [].concat(u32(offsets.length), ...offsets.map((o) => (useCo64 ? u64(o) : u32(o))));
+
+    const stblParts = [
+      fullBox('stsd', 0, 0, u32(1), track.sampleEntry),
+      fullBox('stts', 0, 0, sttsBytes),
+    ];
+    if (isVideo) {
+      const keys = [];
+      samples.forEach((s, i) => {
+        if (s.key) keys.push(i + 1);
+      });
+      stblParts.push(fullBox('stss', 0, 0, u32(keys.length), ...keys.map(u32)));
+    }
+    stblParts.push(
+      fullBox('stsc', 0, 0, u32(1), u32(1), u32(1), u32(1)), // one sample per chunk
+      fullBox('stsz', 0, 0, stszBytes),
+      fullBox(useCo64 ? 'co64' : 'stco', 0, 0, stcoBytes)
+    );
+
+    // Edit list: delay tracks that start after the beginning of the file
+    const edits = [];
+    if (startDelay > 0) edits.push(u32(startDelay).concat(u32(0xffffffff), u16(1), u16(0)));
+    edits.push(u32(movieDuration).concat(u32(0), u16(1), u16(0)));
+
+    return box(
+      'trak',
+      fullBox(
+        'tkhd', 0, 3,
+        u32(0), u32(0), u32(trackId), u32(0), u32(movieDuration + startDelay),
+        u32(0), u32(0), u16(0), u16(0), u16(isVideo ? 0 : 0x0100), u16(0),
+        UNITY_MATRIX,
+        u32((isVideo ? track.width : 0) * 0x10000), u32((isVideo ? track.height : 0) * 0x10000)
+      ),
+      box('edts', fullBox('elst', 0, 0, u32(edits.length), ...edits)),
+      box(
+        'mdia',
+        fullBox('mdhd', 0, 0, u32(0), u32(0), u32(track.timescale), u32(mediaDuration), u16(0x55c4), u16(0)),
+        fullBox(
+          'hdlr', 0, 0, u32(0), fourcc(isVideo ? 'vide' : 'soun'), u32(0), u32(0), u32(0),
+          Array.from(isVideo ? 'VideoHandler' : 'SoundHandler').map((c) => c.charCodeAt(0)).concat([0])
+        ),
+        box(
+          'minf',
+          isVideo ? fullBox('vmhd', 0, 1, u16(0), u16(0), u16(0), u16(0)) : fullBox('smhd', 0, 0, u16(0), u16(0)),
+          box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+          box('stbl', ...stblParts)
+        )
+      )
+    );
+  }
+
+  /**
+   * Write an MP4 file from prepared tracks. Each track has: kind ('video'
+   * or 'audio'), timescale, sampleEntry, samples [{data, duration, key}],
+   * startTime (µs) and, for video, width/height.
+   * @param {Object[]} tracks
+   * @returns {Blob}
+   */
+  function writeMp4(tracks) {
+    const movieTimescale = 1000;
+    const ftyp = box('ftyp', fourcc('isom'), u32(0x200), fourcc('isom'), fourcc('iso2'), fourcc('iso6'), fourcc('avc1'), fourcc('mp41'));
+    const mdatPayload = tracks.reduce((sum, t) => sum + t.samples.reduce((s, x) => s + x.data.length, 0), 0);
+    const mdatHeaderSize = mdatPayload + 8 > 0xffffffff ? 16 : 8;
+
+    const buildMoov = (mdatStart) => {
+      let offset = mdatStart + mdatHeaderSize;
+      const trackBoxes = tracks.map((track, i) => {
+        const offsets = track.samples.map((s) => {
+          const o = offset;
+          offset += s.data.length;
+          return o;
+        });
+        return trackBox(track, i + 1, movieTimescale, offsets);
+      });
+      const duration = Math.max(
+        0,
+        ...tracks.map((t) => Math.round(t.startTime / 1000 + (t.samples.reduce((s, x) => s + x.duration, 0) * movieTimescale) / t.timescale))
+      );
+      const mvhd = fullBox(
+        'mvhd', 0, 0,
+        u32(0), u32(0), u32(movieTimescale), u32(duration),
+        u32(0x00010000), u16(0x0100), u16(0), u32(0), u32(0),
+        UNITY_MATRIX,
+        u32(0), u32(0), u32(0), u32(0), u32(0), u32(0),
+        u32(tracks.length + 1)
+      );
+      return box('moov', mvhd, ...trackBoxes);
+    };
+
+    // The moov size does not depend on the offset values (unless they grow
+    // past 32 bits), so build it once to measure and once for real.
+    let moov = buildMoov(ftyp.length);
+    moov = buildMoov(ftyp.length + moov.length);
+
+    const mdatHeader =
+      mdatHeaderSize === 16
+        ? Uint8Array.from(u32(1).concat(fourcc('mdat'), u64(mdatPayload + 16)))
+        : Uint8Array.from(u32(mdatPayload + 8).concat(fourcc('mdat')));
+    const parts = [ftyp, moov, mdatHeader];
+    tracks.forEach((t) => t.samples.forEach((s) => parts.push(s.data)));
+    return new Blob(parts, { type: 'video/mp4' });
+  }
+
+  // ----- WebCodecs transcoding -----
+
+  const H264_CODECS = ['avc1.640028', 'avc1.4d0028', 'avc1.640033', 'avc1.42001f'];
+
+  /**
+   * Copy a codec buffer, which may be a view into memory the codec reuses.
+   * @param {ArrayBuffer|ArrayBufferView} source
+   * @returns {Uint8Array}
+   */
+  function copyBytes(source) {
+    if (source instanceof ArrayBuffer) return new Uint8Array(source.slice(0));
+    return new Uint8Array(source.buffer.slice(source.byteOffset, source.byteOffset + source.byteLength));
+  }
+
+  /**
+   * Wait until the codec queues have drained a little so we never hold
+   * hundreds of decoded frames in memory.
+   * @param {VideoDecoder|AudioDecoder} decoder
+   * @param {VideoEncoder|AudioEncoder} encoder
+   * @returns {Promise<void>}
+   */
+  async function waitForQueues(decoder, encoder) {
+    while (decoder.decodeQueueSize > 4 || encoder.encodeQueueSize > 4) {
+      await new Promise((resolve) => setTimeout(resolve, 4));
+    }
+  }
+
+  /**
+   * WebCodecs codec string to decode a Matroska video track.
+   * @param {string} codecId Matroska CodecID
+   * @returns {string|null} null for codecs other than VP8 and VP9
+   */
+  function vpxDecoderCodec(codecId) {
+    if (codecId === 'V_VP8') return 'vp8';
+    if (codecId === 'V_VP9') return 'vp09.00.10.08';
+    return null;
+  }
+
+  /**
+   * First H.264 profile the device can encode at this size.
+   * @param {number} width
+   * @param {number} height
+   * @returns {Promise<Object|null>} VideoEncoder config, or null if none
+   */
+  async function findH264Config(width, height) {
+    if (!window.VideoEncoder || !window.VideoDecoder) return null;
+    for (const codec of H264_CODECS) {
+      const config = {
+        codec,
+        width,
+        height,
+        bitrate: Math.min(12000000, Math.round(width * height * 30 * 0.12)),
+        framerate: 30,
+        avc: { format: 'avc' },
+      };
+      try {
+        const support = await VideoEncoder.isConfigSupported(config);
+        if (support.supported) return support.config;
+      } catch (_) {
+        // try the next profile
+      }
+    }
+    return null;
+  }
+
+  /**
+   * AAC-LC encoder config, if the device can encode it.
+   * @param {number} sampleRate Hz
+   * @param {number} channels
+   * @returns {Promise<Object|null>} AudioEncoder config, or null
+   */
+  async function findAacConfig(sampleRate, channels) {
+    if (!window.AudioEncoder || !window.AudioDecoder) return null;
+    const config = { codec: 'mp4a.40.2', sampleRate, numberOfChannels: channels, bitrate: 128000 };
+    try {
+      const support = await AudioEncoder.isConfigSupported(config);
+      return support.supported ? support.config : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Release WebCodecs instances, which hold hardware codec slots until
+   * closed, whether the transcoding succeeded or not.
+   * @param {...(VideoDecoder|VideoEncoder|AudioDecoder|AudioEncoder|null)} codecs
+   */
+  function closeCodecs(...codecs) {
+    codecs.forEach((codec) => {
+      if (codec && codec.state !== 'closed') codec.close();
+    });
+  }
+
+  /**
+   * Decode VP8/VP9 frames and encode them again as H.264.
+   * @param {Object} track video track from parseWebM
+   * @param {Object} encoderConfig from findH264Config
+   * @param {(fraction: number) => void} [onProgress]
+   * @returns {Promise<{frames: Object[], description: Uint8Array}>}
+   */
+  async function transcodeVideo(track, encoderConfig, onProgress) {
+    const frames = [];
+    let description = null;
+    let failure = null;
+    let lastKeyTimestamp = -Infinity;
+
+    const encoder = new VideoEncoder({
+      output: (chunk, meta) => {
+        if (!description && meta && meta.decoderConfig && meta.decoderConfig.description) {
+          description = copyBytes(meta.decoderConfig.description);
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        frames.push({ timestamp: chunk.timestamp, data, key: chunk.type === 'key' });
+      },
+      error: (err) => {
+        failure = err;
+      },
+    });
+    let decoder = null;
+    try {
+      encoder.configure(encoderConfig);
+
+      decoder = new VideoDecoder({
+        output: (frame) => {
+          // Keyframe every two seconds keeps seeking responsive
+          const keyFrame = frame.timestamp - lastKeyTimestamp >= 2000000;
+          if (keyFrame) lastKeyTimestamp = frame.timestamp;
+          try {
+            encoder.encode(frame, { keyFrame });
+          } finally {
+            frame.close();
+          }
+        },
+        error: (err) => {
+          failure = err;
+        },
+      });
+      decoder.configure({
+        codec: vpxDecoderCodec(track.codecId),
+        codedWidth: track.width,
+        codedHeight: track.height,
+      });
+
+      const firstKey = track.frames.findIndex((f) => f.key);
+      for (let i = Math.max(0, firstKey); i < track.frames.length; i++) {
+        if (failure) throw failure;
+        const f = track.frames[i];
+        decoder.decode(new EncodedVideoChunk({ type: f.key ? 'key' : 'delta', timestamp: f.timestamp, data: f.data }));
+        await waitForQueues(decoder, encoder);
+        if (onProgress) onProgress(i / track.frames.length);
+      }
+      await decoder.flush();
+      await encoder.flush();
+      if (failure) throw failure;
+      if (!description) throw new Error('Configuration H.264 manquante');
+      return { frames, description };
+    } finally {
+      closeCodecs(decoder, encoder);
+    }
+  }
+
+  /**
+   * Build an AudioSpecificConfig for AAC-LC when the encoder does not
+   * report one.
+   * @param {number} sampleRate Hz
+   * @param {number} channels
+   * @returns {Uint8Array}
+   */
+  function audioSpecificConfig(sampleRate, channels) {
+    const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+    const index = Math.max(0, rates.indexOf(sampleRate));
+    const value = (2 << 11) | (index << 7) | (channels << 3);
+    return Uint8Array.from(u16(value));
+  }
+
+  /**
+   * Decode Opus frames and encode them again as AAC.
+   * @param {Object} track audio track from parseWebM
+   * @param {Object} encoderConfig from findAacConfig
+   * @returns {Promise<{frames: Object[], description: Uint8Array}>}
+   */
+  async function transcodeAudio(track, encoderConfig) {
+    const frames = [];
+    let description = null;
+    let failure = null;
+
+    const encoder = new AudioEncoder({
+      output: (chunk, meta) => {
+        if (!description && meta && meta.decoderConfig && meta.decoderConfig.description) {
+          description = copyBytes(meta.decoderConfig.description);
+        }
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        frames.push({ timestamp: chunk.timestamp, data, key: true });
+      },
+      error: (err) => {
+        failure = err;
+      },
+    });
+    let decoder = null;
+    try {
+      encoder.configure(encoderConfig);
+
+      decoder = new AudioDecoder({
+        output: (audioData) => {
+          try {
+            encoder.encode(audioData);
+          } finally {
+            audioData.close();
+          }
+        },
+        error: (err) => {
+          failure = err;
+        },
+      });
+      const decoderConfig = {
+        codec: 'opus',
+        sampleRate: encoderConfig.sampleRate,
+        numberOfChannels: encoderConfig.numberOfChannels,
+      };
+      if (track.codecPrivate) decoderConfig.description = track.codecPrivate;
+      decoder.configure(decoderConfig);
+
+      for (const f of track.frames) {
+        if (failure) throw failure;
+        decoder.decode(new EncodedAudioChunk({ type: 'key', timestamp: f.timestamp, data: f.data }));
+        await waitForQueues(decoder, encoder);
+      }
+      await decoder.flush();
+      await encoder.flush();
+      if (failure) throw failure;
+      return {
+        frames,
+        description: description || audioSpecificConfig(encoderConfig.sampleRate, encoderConfig.numberOfChannels),
+      };
+    } finally {
+      closeCodecs(decoder, encoder);
+    }
+  }
+
+  // ----- Public API -----
+
+  /**
+   * Whether a blob looks like a WebM/Matroska file.
+   * @param {Blob} blob
+   * @returns {boolean}
+   */
+  function isWebM(blob) {
+    return /webm|matroska/i.test(blob.type || '');
+  }
+
+  /**
+   * Prepare the MP4 video track: H.264 when an encoder exists, otherwise a
+   * straight copy of VP9. Returns null if neither is possible.
+   * @param {Object} track video track from parseWebM
+   * @param {number} startTime first timestamp of the file (µs)
+   * @param {(fraction: number) => void} [onProgress]
+   * @returns {Promise<Object|null>} track for writeMp4
+   */
+  async function prepareVideoTrack(track, startTime, onProgress) {
+    const encoderConfig = vpxDecoderCodec(track.codecId) ? await findH264Config(track.width, track.height) : null;
+    if (encoderConfig) {
+      try {
+        const { frames, description } = await transcodeVideo(track, encoderConfig, onProgress);
+        return {
+          kind: 'video',
+          timescale: 90000,
+          width: track.width,
+          height: track.height,
+          startTime: (frames.length ? frames[0].timestamp : 0) - startTime,
+          sampleEntry: avc1Entry(track.width, track.height, description),
+          samples: framesToSamples(frames, 90000, 33333),
+        };
+      } catch (err) {
+        console.warn('Transcodage H.264 impossible, copie de la vidéo :', err);
+      }
+    }
+    if (track.codecId === 'V_VP9') {
+      return {
+        kind: 'video',
+        timescale: 90000,
+        width: track.width,
+        height: track.height,
+        startTime: track.frames[0].timestamp - startTime,
+        sampleEntry: vp09Entry(track.width, track.height),
+        samples: framesToSamples(track.frames, 90000, 33333),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Prepare the MP4 audio track: AAC when an encoder exists, otherwise a
+   * straight copy of Opus. Returns null for other codecs.
+   * @param {Object} track audio track from parseWebM
+   * @param {number} startTime first timestamp of the file (µs)
+   * @returns {Promise<Object|null>} track for writeMp4
+   */
+  async function prepareAudioTrack(track, startTime) {
+    if (track.codecId !== 'A_OPUS') return null;
+    const channels = track.channels || 2;
+    const sampleRate = Math.round(track.sampleRate || 48000);
+    const encoderConfig = await findAacConfig(sampleRate, channels);
+    if (encoderConfig) {
+      try {
+        const { frames, description } = await transcodeAudio(track, encoderConfig);
+        if (frames.length) {
+          return {
+            kind: 'audio',
+            timescale: sampleRate,
+            startTime: Math.max(0, frames[0].timestamp - startTime),
+            sampleEntry: mp4aEntry(channels, sampleRate, description),
+            samples: framesToSamples(frames, sampleRate, (1024 * 1e6) / sampleRate),
+          };
+        }
+      } catch (err) {
+        console.warn('Transcodage AAC impossible, copie de l\'audio Opus :', err);
+      }
+    }
+    return {
+      kind: 'audio',
+      timescale: 48000,
+      startTime: track.frames[0].timestamp - startTime,
+      sampleEntry: opusEntry(channels, track.codecPrivate),
+      samples: framesToSamples(track.frames, 48000, 20000),
+    };
+  }
+
+  /**
+   * Convert a WebM recording to MP4 on the device.
+   * @param {Blob} blob WebM recording
+   * @param {{onProgress?: (fraction: number) => void}} [options]
+   * @returns {Promise<Blob|null>} MP4 file, or null if not possible here
+   */
+  async function toMp4(blob, options = {}) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const { tracks } = parseWebM(bytes);
+    const videoTrack = tracks.find((t) => t.type === 1 && t.frames.length);
+    const audioTrack = tracks.find((t) => t.type === 2 && t.frames.length);
+    if (!videoTrack) return null;
+    const startTime = Math.min(...tracks.filter((t) => t.frames.length).map((t) => t.frames[0].timestamp));
+
+    const output = [];
+    const video = await prepareVideoTrack(videoTrack, startTime, options.onProgress);
+    if (!video) return null;
+    output.push(video);
+    if (audioTrack) {
+      const audio = await prepareAudioTrack(audioTrack, startTime);
+      if (!audio) return null;
+      output.push(audio);
+    }
+    if (options.onProgress) options.onProgress(1);
+    return writeMp4(output);
+  }
+
+  return {
+    isWebM,
+    parseWebM,
+    toMp4,
+  };
+})();
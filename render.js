@@ -0,0 +1,317 @@
+/*
+ * render.js – CRALK PWA
+ *
+ * Local re-rendering of recordings. Two building blocks are provided:
+ *
+ *   - `renderMix()` mixes decoded audio tracks with per-track gain
+ *     automation in an OfflineAudioContext (faster than real time);
+ *   - `rerecord()` plays one or more video segments into a canvas, pairs
+ *     the canvas stream with a rendered audio buffer through a
+ *     MediaStreamDestination and records the result with MediaRecorder.
+ *     This runs in real time but works in every browser that can record.
+ *
+ * Everything stays on the device.
+ */
+
+const CralkRender = (function () {
+  const SAMPLE_RATE = 48000;
+  // Playback that makes no progress for this long is given up
+  const STALL_MS = 10000;
+
+  /**
+   * Decode the audio of a media file (audio or video) into an AudioBuffer.
+   * @param {Blob} blob
+   * @returns {Promise<AudioBuffer>}
+   */
+  async function decodeAudio(blob) {
+    const data = await blob.arrayBuffer();
+    const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const ctx = new Ctx(2, SAMPLE_RATE, SAMPLE_RATE);
+    // Callback form for older Safari versions without the promise API
+    return new Promise((resolve, reject) => {
+      const result = ctx.decodeAudioData(data, resolve, reject);
+      if (result && result.then) result.then(resolve, reject);
+    });
+  }
+
+  /**
+   * Schedule gain automation. `points` are [{time, value}] sorted by time;
+   * each change ramps linearly over `fade` seconds. Points closer together
+   * than the fade start when the previous ramp ends.
+   * @param {AudioParam} param
+   * @param {number|{time: number, value: number}[]} points
+   * @param {number} fade
+   */
+  function scheduleGain(param, points, fade) {
+    if (typeof points === 'number') {
+      param.setValueAtTime(points, 0);
+      return;
+    }
+    let value = points.length ? points[0].value : 1;
+    let free = 0;
+    param.setValueAtTime(value, 0);
+    points.slice(1).forEach((point) => {
+      const time = Math.max(point.time, free);
+      param.setValueAtTime(value, time);
+      if (fade > 0) {
+        param.linearRampToValueAtTime(point.value, time + fade);
+      } else {
+        param.setValueAtTime(point.value, time);
+      }
+      value = point.value;
+      free = time + fade;
+    });
+  }
+
+  /**
+   * Mix audio tracks into a stereo buffer.
+   * @param {{duration: number, tracks: {buffer: AudioBuffer, when?: number,
+   *   offset?: number, length?: number, gain?: (number|Object[]), fade?: number}[]}} options
+   *   `when` is the start in the output, `offset`/`length` select the part
+   *   of the buffer to play, all in seconds.
+   * @returns {Promise<AudioBuffer>}
+   */
+  function renderMix({ duration, tracks }) {
+    const Ctx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const ctx = new Ctx(2, Math.max(1, Math.ceil(duration * SAMPLE_RATE)), SAMPLE_RATE);
+    tracks.forEach((track) => {
+      if (!track.buffer) return;
+      const source = ctx.createBufferSource();
+      source.buffer = track.buffer;
+      const gain = ctx.createGain();
+      scheduleGain(gain.gain, track.gain === undefined ? 1 : track.gain, track.fade || 0);
+      source.connect(gain);
+      gain.connect(ctx.destination);
+      const offset = Math.max(0, track.offset || 0);
+      if (track.length) {
+        source.start(track.when || 0, offset, track.length);
+      } else {
+        source.start(track.when || 0, offset);
+      }
+    });
+    return new Promise((resolve, reject) => {
+      ctx.oncomplete = (e) => resolve(e.renderedBuffer);
+      const result = ctx.startRendering();
+      if (result && result.then) result.then(resolve, reject);
+    });
+  }
+
+  /**
+   * Load a video element and wait until it can show its first frame.
+   * @param {HTMLVideoElement} video
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  function loadVideo(video, url) {
+    return new Promise((resolve, reject) => {
+      video.onloadeddata = () => resolve();
+      video.onerror = () => reject(new Error('Lecture de la vidéo impossible'));
+      video.src = url;
+      video.load();
+    });
+  }
+
+  /**
+   * Seek a video and wait for the frame to be available.
+   * @param {HTMLVideoElement} video
+   * @param {number} time
+   * @returns {Promise<void>}
+   */
+  function seekVideo(video, time) {
+    if (Math.abs(video.currentTime - time) < 0.01) return Promise.resolve();
+    return new Promise((resolve) => {
+      video.addEventListener('seeked', () => resolve(), { once: true });
+      video.currentTime = time;
+    });
+  }
+
+  /**
+   * Wait until a playing video reaches `end` (or its own end). Where frame
+   * callbacks are supported the video is paused on the first frame past
+   * `end`; timeupdate alone can overshoot by a quarter of a second. Fails
+   * on a playback error, or when playback makes no progress for STALL_MS,
+   * so a broken file cannot keep the render waiting forever.
+   * @param {HTMLVideoElement} video
+   * @param {number|null} end seconds, or null to play to the end
+   * @param {(time: number) => void} [onTime] called with the current time
+   * @returns {Promise<void>}
+   */
+  function waitForEnd(video, end, onTime) {
+    return new Promise((resolve, reject) => {
+      let lastTime = video.currentTime;
+      let lastProgress = Date.now();
+      let settled = false;
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(watchdog);
+        video.removeEventListener('timeupdate', check);
+        video.removeEventListener('ended', check);
+        video.removeEventListener('error', fail);
+        if (err) reject(err);
+        else resolve();
+      };
+      const check = () => {
+        if (onTime) onTime(video.currentTime);
+        if (video.ended || (end && video.currentTime >= end)) finish();
+      };
+      const fail = () => finish(new Error('Lecture de la vidéo impossible'));
+      const watchdog = setInterval(() => {
+        if (video.currentTime !== lastTime) {
+          lastTime = video.currentTime;
+          lastProgress = Date.now();
+        } else if (Date.now() - lastProgress > STALL_MS) {
+          finish(new Error('Lecture de la vidéo bloquée'));
+        }
+      }, 1000);
+      video.addEventListener('timeupdate', check);
+      video.addEventListener('ended', check);
+      video.addEventListener('error', fail);
+      if (end && video.requestVideoFrameCallback) {
+        const onFrame = (now, metadata) => {
+          if (settled) return;
+          if (metadata.mediaTime >= end) {
+            video.pause();
+            finish();
+          } else {
+            video.requestVideoFrameCallback(onFrame);
+          }
+        };
+        video.requestVideoFrameCallback(onFrame);
+      }
+    });
+  }
+
+  /**
+   * Re-record video segments back to back, with `audio` as the sound track.
+   * The videos are played muted into a canvas; `drawFrame` can replace the
+   * default full-frame drawing (e.g. to composite several layers). `audio`
+   * is laid out with each segment taking `end - start` seconds; its part
+   * for each segment is started with the segment, so playback delays do
+   * not add up over the segments.
+   * @param {{segments: {url: string, start?: number, end?: (number|null)}[],
+   *   audio?: AudioBuffer, mimeType?: string,
+   *   drawFrame?: (ctx: CanvasRenderingContext2D, video: HTMLVideoElement, canvas: HTMLCanvasElement) => void,
+   *   onProgress?: (fraction: number) => void}} options
+   * @returns {Promise<Blob>}
+   */
+  async function rerecord({ segments, audio, mimeType, drawFrame, onProgress }) {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    await loadVideo(video, segments[0].url);
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth || 720;
+    canvas.height = video.videoHeight || 1280;
+    const ctx2d = canvas.getContext('2d');
+    const draw = () => {
+      if (drawFrame) {
+        drawFrame(ctx2d, video, canvas);
+      } else {
+        ctx2d.drawImage(video, 0, 0, canvas.width, canvas.height);
+      }
+    };
+    draw();
+
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    const audioCtx = new Ctx();
+    const destination = audioCtx.createMediaStreamDestination();
+    const stream = new MediaStream([
+      ...canvas.captureStream(30).getVideoTracks(),
+      ...destination.stream.getAudioTracks(),
+    ]);
+    let recorder;
+    try {
+      recorder = mimeType ? new MediaRecorder(stream, { mimeType }) : new MediaRecorder(stream);
+    } catch (_) {
+      recorder = new MediaRecorder(stream);
+    }
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise((resolve) => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' }));
+    });
+
+    // Drawing loop, driven by decoded frames when the browser supports it.
+    // Frames past the end of the segment being played are not drawn.
+    let drawing = true;
+    let segmentEnd = null;
+    const scheduleDraw = () => {
+      if (!drawing) return;
+      if (video.requestVideoFrameCallback) {
+        video.requestVideoFrameCallback((now, metadata) => {
+          if (!(segmentEnd && metadata.mediaTime >= segmentEnd)) draw();
+          scheduleDraw();
+        });
+      } else {
+        requestAnimationFrame(() => {
+          draw();
+          scheduleDraw();
+        });
+      }
+    };
+
+    const total = segments.reduce((sum, seg) => sum + Math.max(0, (seg.end || 0) - (seg.start || 0)), 0);
+    let done = 0;
+    let audioSource = null;
+    try {
+      await audioCtx.suspend();
+      for (let i = 0; i < segments.length; i++) {
+        const seg = segments[i];
+        if (i > 0) await loadVideo(video, seg.url);
+        await seekVideo(video, seg.start || 0);
+        segmentEnd = seg.end || null;
+        draw();
+        // The sound of this segment, from where it starts in `audio`
+        if (audio) {
+          audioSource = audioCtx.createBufferSource();
+          audioSource.buffer = audio;
+          audioSource.connect(destination);
+          if (seg.end) audioSource.start(0, done, seg.end - (seg.start || 0));
+          else audioSource.start(0, done);
+        }
+        if (i === 0) {
+          recorder.start();
+        } else {
+          recorder.resume();
+        }
+        await audioCtx.resume();
+        scheduleDraw();
+        await video.play();
+        // Play until the end of the segment
+        await waitForEnd(video, seg.end, (time) => {
+          if (onProgress && total) onProgress(Math.min(1, (done + time - (seg.start || 0)) / total));
+        });
+        video.pause();
+        done += Math.max(0, (seg.end || video.currentTime) - (seg.start || 0));
+        // Freeze the output while the next segment loads
+        await audioCtx.suspend();
+        if (audioSource) {
+          audioSource.stop();
+          audioSource.disconnect();
+          audioSource = null;
+        }
+        if (i < segments.length - 1) recorder.pause();
+      }
+      drawing = false;
+      recorder.stop();
+      return await stopped;
+    } finally {
+      drawing = false;
+      if (recorder.state !== 'inactive') recorder.stop();
+      audioCtx.close().catch(() => {});
+      video.removeAttribute('src');
+      video.load();
+    }
+  }
+
+  return {
+    decodeAudio,
+    renderMix,
+    rerecord,
+  };
+})();
@@ -0,0 +1,275 @@
+/*
+ * storage.js – CRALK PWA
+ *
+ * Small promise-based wrapper around IndexedDB. iOS may kill the PWA or
+ * evict the page at any time, so every finished take is written here
+ * together with its metadata and the gallery is rebuilt from this store on
+ * the next launch. Imported songs are kept in a second store so the
+ * library survives restarts too. Takes being recorded are written chunk by
+ * chunk to two more stores, so a take cut short by a crash can be
+ * recovered. main.js only talks to the database through the functions
+ * exposed by `CralkStorage`.
+ */
+
+const CralkStorage = (function () {
+  const DB_NAME = 'cralk';
+  const DB_VERSION = 3;
+  const RECORDINGS_STORE = 'recordings';
+  const SONGS_STORE = 'songs';
+  const PENDING_STORE = 'pendingTakes';
+  const CHUNKS_STORE = 'chunks';
+
+  // Shared connection; reset when opening fails so a later call can retry
+  let dbPromise = null;
+
+  /**
+   * Open the database, creating the object stores on first use.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB non disponible'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+          db.createObjectStore(RECORDINGS_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        // Version 2: song library, one entry per file (name + size)
+        if (!db.objectStoreNames.contains(SONGS_STORE)) {
+          const songs = db.createObjectStore(SONGS_STORE, { keyPath: 'id', autoIncrement: true });
+          songs.createIndex('key', 'key', { unique: true });
+        }
+        // Version 3: takes in progress and their recorded chunks
+        if (!db.objectStoreNames.contains(PENDING_STORE)) {
+          db.createObjectStore(PENDING_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(CHUNKS_STORE)) {
+          const chunks = db.createObjectStore(CHUNKS_STORE, { keyPath: 'id', autoIncrement: true });
+          chunks.createIndex('takeId', 'takeId');
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app (in another tab) upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Ouverture de la base bloquée'));
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  /**
+   * Run `fn` against an object store inside a single transaction. Resolves
+   * with the result of the request returned by `fn` (if any) once the
+   * transaction has completed, so callers know the data is committed.
+   * @param {string} storeName
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => (IDBRequest|void)} fn
+   * @returns {Promise<any>}
+   */
+  async function withStore(storeName, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+    });
+  }
+
+  /**
+   * Store a new recording. The record must not contain an `id`; the
+   * generated key is returned.
+   * @param {{blob: Blob, fileName: string, duration: number, date: number, mimeType: string}} record
+   * @returns {Promise<number>}
+   */
+  function addRecording(record) {
+    return withStore(RECORDINGS_STORE, 'readwrite', (store) => store.add(record));
+  }
+
+  /**
+   * Replace an existing recording (matched on its `id`).
+   * @param {Object} record
+   * @returns {Promise<number>}
+   */
+  function putRecording(record) {
+    return withStore(RECORDINGS_STORE, 'readwrite', (store) => store.put(record));
+  }
+
+  /**
+   * Load every stored recording, oldest first.
+   * @returns {Promise<Object[]>}
+   */
+  async function getAllRecordings() {
+    const records = await withStore(RECORDINGS_STORE, 'readonly', (store) => store.getAll());
+    return (records || []).sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Delete a single recording by key.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  function deleteRecording(id) {
+    return withStore(RECORDINGS_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Remove every stored recording.
+   * @returns {Promise<void>}
+   */
+  function clearRecordings() {
+    return withStore(RECORDINGS_STORE, 'readwrite', (store) => store.clear());
+  }
+
+  /**
+   * Store a new song. The record must not contain an `id`; the generated
+   * key is returned. Fails if a song with the same `key` exists.
+   * @param {{key: string, blob: Blob, name: string, title: string, artist: string, duration: number, addedAt: number}} song
+   * @returns {Promise<number>}
+   */
+  function addSong(song) {
+    return withStore(SONGS_STORE, 'readwrite', (store) => store.add(song));
+  }
+
+  /**
+   * Replace an existing song (matched on its `id`).
+   * @param {Object} song
+   * @returns {Promise<number>}
+   */
+  function putSong(song) {
+    return withStore(SONGS_STORE, 'readwrite', (store) => store.put(song));
+  }
+
+  /**
+   * Load every song of the library, in import order.
+   * @returns {Promise<Object[]>}
+   */
+  async function getAllSongs() {
+    const songs = await withStore(SONGS_STORE, 'readonly', (store) => store.getAll());
+    return (songs || []).sort((a, b) => a.addedAt - b.addedAt);
+  }
+
+  /**
+   * Delete a song by key.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  function deleteSong(id) {
+    return withStore(SONGS_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Register a take that is starting. The record must not contain an `id`;
+   * the generated key is returned and identifies its chunks.
+   * @param {Object} take metadata needed to rebuild the take
+   * @returns {Promise<number>}
+   */
+  function addPendingTake(take) {
+    return withStore(PENDING_STORE, 'readwrite', (store) => store.add(take));
+  }
+
+  /**
+   * Update the metadata of a take in progress (matched on its `id`).
+   * @param {Object} take
+   * @returns {Promise<number>}
+   */
+  function putPendingTake(take) {
+    return withStore(PENDING_STORE, 'readwrite', (store) => store.put(take));
+  }
+
+  /**
+   * Load the takes that were never finished, oldest first.
+   * @returns {Promise<Object[]>}
+   */
+  async function getPendingTakes() {
+    const takes = await withStore(PENDING_STORE, 'readonly', (store) => store.getAll());
+    return (takes || []).sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /**
+   * Append a recorded chunk to a take in progress.
+   * @param {{takeId: number, track: string, blob: Blob, elapsed: number}} chunk
+   * @returns {Promise<number>}
+   */
+  function addChunk(chunk) {
+    return withStore(CHUNKS_STORE, 'readwrite', (store) => store.add(chunk));
+  }
+
+  /**
+   * Load the chunks of a take, in recording order.
+   * @param {number} takeId
+   * @returns {Promise<Object[]>}
+   */
+  async function getChunks(takeId) {
+    const chunks = await withStore(CHUNKS_STORE, 'readonly', (store) =>
+      store.index('takeId').getAll(IDBKeyRange.only(takeId))
+    );
+    return (chunks || []).sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Delete a take in progress and its chunks, once it has been saved as a
+   * recording or recovered.
+   * @param {number} takeId
+   * @returns {Promise<void>}
+   */
+  async function deletePendingTake(takeId) {
+    await withStore(CHUNKS_STORE, 'readwrite', (store) => {
+      const request = store.index('takeId').openKeyCursor(IDBKeyRange.only(takeId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    });
+    await withStore(PENDING_STORE, 'readwrite', (store) => store.delete(takeId));
+  }
+
+  /**
+   * Ask the browser to keep our data even under storage pressure. Safari
+   * otherwise purges script-writable storage of sites that are not used
+   * for a while.
+   * @returns {Promise<boolean>}
+   */
+  function requestPersistence() {
+    if (navigator.storage && navigator.storage.persist) {
+      return navigator.storage.persist().catch(() => false);
+    }
+    return Promise.resolve(false);
+  }
+
+  return {
+    addRecording,
+    putRecording,
+    getAllRecordings,
+    deleteRecording,
+    clearRecordings,
+    addSong,
+    putSong,
+    getAllSongs,
+    deleteSong,
+    addPendingTake,
+    putPendingTake,
+    getPendingTakes,
+    addChunk,
+    getChunks,
+    deletePendingTake,
+    requestPersistence,
+  };
+})();
@@ -10,13 +10,23 @@
 // main.js, styles.css or other static files are modified.
 // Bump the cache version to force refresh after significant updates.
 // Each release should increment this suffix.
-const CACHE_NAME = 'cralk-cache-v33';
+const CACHE_NAME = 'cralk-cache-v58';
 
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/styles.css',
   '/main.js',
+  '/storage.js',
+  '/remux.js',
+  '/zip.js',
+  '/render.js',
+  '/latency.js',
+  '/tags.js',
+  '/compositor.js',
+  '/lyrics.js',
+  '/effects.js',
+  '/vocals.js',
   '/manifest.json',
   '/icon-192.png',
   '/icon-512.png'
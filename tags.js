@@ -0,0 +1,403 @@
+/*
+ * tags.js – CRALK PWA
+ *
+ * Local reader for the metadata embedded in audio files: title, artist,
+ * album and cover art. Supported formats:
+ *
+ *   - ID3v2.2/2.3/2.4 tags at the start of MP3 files;
+ *   - iTunes-style `ilst` atoms of MP4/M4A files (moov/udta/meta/ilst);
+ *   - Vorbis comments of FLAC files and Ogg Vorbis/Opus streams, including
+ *     FLAC PICTURE blocks and METADATA_BLOCK_PICTURE comments.
+ *
+ * Only the parts of the file holding the tags are read. Unknown or broken
+ * files simply yield empty fields.
+ */
+
+const CralkTags = (function () {
+  // Stop looking for tags beyond this many bytes (covers included)
+  const MAX_TAG_BYTES = 16 * 1024 * 1024;
+
+  /**
+   * Read a byte range of a Blob.
+   * @param {Blob} blob
+   * @param {number} start
+   * @param {number} end exclusive
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readBytes(blob, start, end) {
+    return new Uint8Array(await blob.slice(start, Math.min(end, blob.size)).arrayBuffer());
+  }
+
+  /**
+   * Decode text with one of the ID3 encodings (0 Latin-1, 1 UTF-16 with
+   * BOM, 2 UTF-16BE, 3 UTF-8), dropping trailing NULs.
+   * @param {Uint8Array} bytes
+   * @param {number} encoding
+   * @returns {string}
+   */
+  function decodeText(bytes, encoding) {
+    let label = 'utf-8';
+    if (encoding === 0) label = 'iso-8859-1';
+    else if (encoding === 1) label = bytes[0] === 0xfe && bytes[1] === 0xff ? 'utf-16be' : 'utf-16le';
+    else if (encoding === 2) label = 'utf-16be';
+    return new TextDecoder(label).decode(bytes).replace(/^\uFEFF/, '').replace(/\0+$/, '').trim();
+  }
+
+  /**
+   * Length of a NUL-terminated string starting at `offset` (the terminator
+   * is two bytes wide for UTF-16).
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @param {number} encoding
+   * @returns {number} index of the terminator, or bytes.length
+   */
+  function findTerminator(bytes, offset, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = offset; i < bytes.length; i += wide ? 2 : 1) {
+      if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+  }
+
+  /**
+   * Read a big-endian unsigned integer.
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @param {number} length
+   * @returns {number}
+   */
+  function readUint(bytes, offset, length) {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = value * 256 + bytes[offset + i];
+    return value;
+  }
+
+  /**
+   * Read a 28-bit "syncsafe" integer (7 bits per byte).
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @returns {number}
+   */
+  function readSyncsafe(bytes, offset) {
+    return (bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+  }
+
+  /**
+   * Undo ID3 unsynchronisation (0xFF 0x00 → 0xFF).
+   * @param {Uint8Array} bytes
+   * @returns {Uint8Array}
+   */
+  function resync(bytes) {
+    const out = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      out[length++] = bytes[i];
+      if (bytes[i] === 0xff && bytes[i + 1] === 0) i++;
+    }
+    return out.subarray(0, length);
+  }
+
+  /**
+   * Parse an ID3v2 tag.
+   * @param {Blob} blob
+   * @param {Uint8Array} head first 10 bytes
+   * @returns {Promise<Object>}
+   */
+  async function readId3(blob, head) {
+    const version = head[3];
+    const flags = head[5];
+    const size = readSyncsafe(head, 6);
+    let body = await readBytes(blob, 10, 10 + Math.min(size, MAX_TAG_BYTES));
+    if (flags & 0x80 && version < 4) body = resync(body);
+    let offset = 0;
+    if (flags & 0x40) {
+      // Extended header: v2.4 counts its own size, v2.3 does not
+      offset = version === 4 ? readSyncsafe(body, 0) : readUint(body, 0, 4) + 4;
+    }
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+    const tags = {};
+    while (offset + headerLength <= body.length) {
+      const id = String.fromCharCode(...body.subarray(offset, offset + idLength));
+      if (!/^[A-Z0-9]+$/.test(id)) break;
+      let frameSize;
+      if (version === 2) frameSize = readUint(body, offset + 3, 3);
+      else if (version === 4) frameSize = readSyncsafe(body, offset + 4);
+      else frameSize = readUint(body, offset + 4, 4);
+      const frameFlags = version === 2 ? 0 : body[offset + 9];
+      let frame = body.subarray(offset + headerLength, offset + headerLength + frameSize);
+      offset += headerLength + frameSize;
+      // v2.4 frame-level unsynchronisation and data length indicator
+      if (version === 4 && frameFlags & 0x02) frame = resync(frame);
+      if (version === 4 && frameFlags & 0x01) frame = frame.subarray(4);
+      if (!frame.length) continue;
+      if (id === 'TIT2' || id === 'TT2') tags.title = decodeText(frame.subarray(1), frame[0]);
+      else if (id === 'TPE1' || id === 'TP1') tags.artist = decodeText(frame.subarray(1), frame[0]);
+      else if (id === 'TALB' || id === 'TAL') tags.album = decodeText(frame.subarray(1), frame[0]);
+      else if ((id === 'APIC' || id === 'PIC') && !tags.cover) {
+        const encoding = frame[0];
+        let pos = 1;
+        let mimeType;
+        if (id === 'PIC') {
+          const format = String.fromCharCode(...frame.subarray(1, 4)).toLowerCase();
+          mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+          pos = 4;
+        } else {
+          const end = findTerminator(frame, 1, 0);
+          mimeType = decodeText(frame.subarray(1, end), 0) || 'image/jpeg';
+          if (!mimeType.includes('/')) mimeType = `image/${mimeType.toLowerCase()}`;
+          pos = end + 1;
+        }
+        pos += 1; // picture type
+        const descEnd = findTerminator(frame, pos, encoding);
+        pos = descEnd + (encoding === 1 || encoding === 2 ? 2 : 1);
+        tags.cover = new Blob([frame.slice(pos)], { type: mimeType });
+      }
+    }
+    return tags;
+  }
+
+  /**
+   * Iterate the atoms contained in `bytes` between `start` and `end`.
+   * @param {Uint8Array} bytes
+   * @param {number} start
+   * @param {number} end
+   * @returns {{type: string, start: number, end: number}[]} body ranges
+   */
+  function listAtoms(bytes, start, end) {
+    const atoms = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+      let size = readUint(bytes, offset, 4);
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      let headerLength = 8;
+      if (size === 1) {
+        size = readUint(bytes, offset + 8, 8);
+        headerLength = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerLength || offset + size > end) break;
+      atoms.push({ type, start: offset + headerLength, end: offset + size });
+      offset += size;
+    }
+    return atoms;
+  }
+
+  /**
+   * Parse the iTunes metadata of an MP4/M4A file. Top-level atoms are
+   * walked with small reads so only `moov` is loaded.
+   * @param {Blob} blob
+   * @returns {Promise<Object>}
+   */
+  async function readMp4(blob) {
+    let offset = 0;
+    let moov = null;
+    while (offset + 8 <= blob.size) {
+      const header = await readBytes(blob, offset, offset + 16);
+      let size = readUint(header, 0, 4);
+      const type = String.fromCharCode(...header.subarray(4, 8));
+      if (size === 1) size = readUint(header, 8, 8);
+      else if (size === 0) size = blob.size - offset;
+      if (size < 8) break;
+      if (type === 'moov') {
+        if (size > MAX_TAG_BYTES) return {};
+        moov = await readBytes(blob, offset, offset + size);
+        break;
+      }
+      offset += size;
+    }
+    if (!moov) return {};
+    const find = (start, end, type) => listAtoms(moov, start, end).find((atom) => atom.type === type);
+    const root = listAtoms(moov, 0, moov.length)[0];
+    const udta = root && find(root.start, root.end, 'udta');
+    const meta = udta && find(udta.start, udta.end, 'meta');
+    if (!meta) return {};
+    // `meta` is normally a full box (4 bytes of version/flags) but some
+    // QuickTime writers omit them
+    const metaStart = String.fromCharCode(...moov.subarray(meta.start + 4, meta.start + 8)) === 'hdlr'
+      ? meta.start
+      : meta.start + 4;
+    const ilst = find(metaStart, meta.end, 'ilst');
+    if (!ilst) return {};
+    const tags = {};
+    const decoder = new TextDecoder('utf-8');
+    listAtoms(moov, ilst.start, ilst.end).forEach((item) => {
+      const data = find(item.start, item.end, 'data');
+      if (!data) return;
+      const kind = readUint(moov, data.start, 4) & 0xffffff;
+      const value = moov.subarray(data.start + 8, data.end);
+      if (item.type === '©nam') tags.title = decoder.decode(value).trim();
+      else if (item.type === '©ART') tags.artist = decoder.decode(value).trim();
+      else if (item.type === 'aART' && !tags.artist) tags.artist = decoder.decode(value).trim();
+      else if (item.type === '©alb') tags.album = decoder.decode(value).trim();
+      else if (item.type === 'covr' && !tags.cover) {
+        tags.cover = new Blob([value.slice()], { type: kind === 14 ? 'image/png' : 'image/jpeg' });
+      }
+    });
+    return tags;
+  }
+
+  /**
+   * Decode a FLAC PICTURE block into an image Blob.
+   * @param {Uint8Array} bytes
+   * @returns {Blob|null}
+   */
+  function parsePicture(bytes) {
+    let pos = 4; // picture type
+    const mimeLength = readUint(bytes, pos, 4);
+    const mimeType = new TextDecoder('iso-8859-1').decode(bytes.subarray(pos + 4, pos + 4 + mimeLength));
+    pos += 4 + mimeLength;
+    pos += 4 + readUint(bytes, pos, 4); // description
+    pos += 16; // width, height, depth, colours
+    const length = readUint(bytes, pos, 4);
+    pos += 4;
+    if (pos + length > bytes.length) return null;
+    return new Blob([bytes.slice(pos, pos + length)], { type: mimeType || 'image/jpeg' });
+  }
+
+  /**
+   * Parse a Vorbis comment block (little-endian lengths).
+   * @param {Uint8Array} bytes
+   * @returns {Object}
+   */
+  function parseVorbisComments(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder('utf-8');
+    const tags = {};
+    let pos = 4 + view.getUint32(0, true); // vendor string
+    const count = view.getUint32(pos, true);
+    pos += 4;
+    for (let i = 0; i < count && pos + 4 <= bytes.length; i++) {
+      const length = view.getUint32(pos, true);
+      const comment = bytes.subarray(pos + 4, pos + 4 + length);
+      pos += 4 + length;
+      const separator = comment.indexOf(0x3d); // '='
+      if (separator === -1) continue;
+      const key = decoder.decode(comment.subarray(0, separator)).toUpperCase();
+      const value = comment.subarray(separator + 1);
+      if (key === 'TITLE' && !tags.title) tags.title = decoder.decode(value).trim();
+      else if (key === 'ARTIST' && !tags.artist) tags.artist = decoder.decode(value).trim();
+      else if (key === 'ALBUMARTIST' && !tags.artist) tags.artist = decoder.decode(value).trim();
+      else if (key === 'ALBUM' && !tags.album) tags.album = decoder.decode(value).trim();
+      else if (key === 'METADATA_BLOCK_PICTURE' && !tags.cover) {
+        try {
+          const binary = atob(decoder.decode(value));
+          tags.cover = parsePicture(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+        } catch (_) {
+          // ignore a malformed picture
+        }
+      }
+    }
+    return tags;
+  }
+
+  /**
+   * Parse the metadata blocks of a FLAC file.
+   * @param {Blob} blob
+   * @returns {Promise<Object>}
+   */
+  async function readFlac(blob) {
+    let offset = 4;
+    let tags = {};
+    let cover = null;
+    for (;;) {
+      const header = await readBytes(blob, offset, offset + 4);
+      if (header.length < 4) break;
+      const last = header[0] & 0x80;
+      const type = header[0] & 0x7f;
+      const length = readUint(header, 1, 3);
+      if (type === 4 || (type === 6 && !cover)) {
+        const block = await readBytes(blob, offset + 4, offset + 4 + length);
+        if (type === 4) tags = parseVorbisComments(block);
+        else cover = parsePicture(block);
+      }
+      offset += 4 + length;
+      if (last || offset > MAX_TAG_BYTES) break;
+    }
+    if (cover && !tags.cover) tags.cover = cover;
+    return tags;
+  }
+
+  /**
+   * Read the comment header of an Ogg Vorbis or Opus stream: the second
+   * packet, which may span several pages.
+   * @param {Blob} blob
+   * @returns {Promise<Object>}
+   */
+  async function readOgg(blob) {
+    let bytes = await readBytes(blob, 0, 256 * 1024);
+    const packets = [];
+    let current = [];
+    let offset = 0;
+    while (packets.length < 2) {
+      if (offset + 27 > bytes.length) {
+        // Need more data: comment packets with covers can be large
+        if (bytes.length >= blob.size || bytes.length >= MAX_TAG_BYTES) return {};
+        bytes = await readBytes(blob, 0, bytes.length * 4);
+        continue;
+      }
+      if (bytes[offset] !== 0x4f || bytes[offset + 1] !== 0x67) return {}; // 'Og'
+      const segments = bytes[offset + 26];
+      const table = bytes.subarray(offset + 27, offset + 27 + segments);
+      let pos = offset + 27 + segments;
+      const pageEnd = pos + table.reduce((sum, value) => sum + value, 0);
+      if (pageEnd > bytes.length) {
+        if (bytes.length >= blob.size || bytes.length >= MAX_TAG_BYTES) return {};
+        bytes = await readBytes(blob, 0, bytes.length * 4);
+        continue;
+      }
+      for (let i = 0; i < segments && packets.length < 2; i++) {
+        current.push(bytes.subarray(pos, pos + table[i]));
+        pos += table[i];
+        if (table[i] < 255) {
+          const length = current.reduce((sum, part) => sum + part.length, 0);
+          const packet = new Uint8Array(length);
+          let at = 0;
+          current.forEach((part) => {
+            packet.set(part, at);
+            at += part.length;
+          });
+          packets.push(packet);
+          current = [];
+        }
+      }
+      offset = pageEnd;
+    }
+    const comments = packets[1];
+    const magic = String.fromCharCode(...comments.subarray(0, 8));
+    if (magic === 'OpusTags') return parseVorbisComments(comments.subarray(8));
+    if (comments[0] === 3 && magic.slice(1, 7) === 'vorbis') return parseVorbisComments(comments.subarray(7));
+    return {};
+  }
+
+  /**
+   * Read the tags of an audio file. Never rejects: missing fields are
+   * empty strings and `cover` is null.
+   * @param {Blob} blob
+   * @returns {Promise<{title: string, artist: string, album: string, cover: (Blob|null)}>}
+   */
+  async function read(blob) {
+    let tags = {};
+    try {
+      const head = await readBytes(blob, 0, 12);
+      const magic = String.fromCharCode(...head.subarray(0, 4));
+      if (magic.startsWith('ID3')) tags = await readId3(blob, head);
+      else if (magic === 'fLaC') tags = await readFlac(blob);
+      else if (magic === 'OggS') tags = await readOgg(blob);
+      else if (String.fromCharCode(...head.subarray(4, 8)) === 'ftyp') tags = await readMp4(blob);
+    } catch (err) {
+      console.warn('Lecture des métadonnées impossible :', err);
+    }
+    return {
+      title: tags.title || '',
+      artist: tags.artist || '',
+      album: tags.album || '',
+      cover: tags.cover && tags.cover.size ? tags.cover : null,
+    };
+  }
+
+  return {
+    read,
+  };
+})();
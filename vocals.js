@@ -0,0 +1,84 @@
+/*
+ * vocals.js – CRALK PWA
+ *
+ * Web Audio processing for the singer's microphone, so vocals sound
+ * finished straight out of the app: a high-pass filter removing rumble and
+ * handling noise, a compressor evening out the level, and a reverb mixed in
+ * parallel with the dry voice. main.js inserts the chain between the mic
+ * source and its gain in the recording graph.
+ */
+
+const CralkVocals = (function () {
+  const HIGHPASS_FREQUENCY = 100;     // Hz, below the lowest sung notes
+  const REVERB_SECONDS = 2.2;
+  // Level lost to compression, given back after the compressor
+  const COMPRESSOR_MAKEUP = 1.4;
+
+  /**
+   * Stereo impulse response of a plain room: noise decaying to silence.
+   * Each channel gets its own noise so the reverb sounds wide.
+   * @param {BaseAudioContext} ctx
+   * @returns {AudioBuffer}
+   */
+  function createImpulse(ctx) {
+    const length = Math.round(ctx.sampleRate * REVERB_SECONDS);
+    const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < length; i++) {
+        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Build the processing chain. With every option off it is a plain pass
+   * through.
+   * @param {BaseAudioContext} ctx
+   * @param {{highpass?: boolean, compressor?: boolean, reverb?: number}} options
+   *   reverb is the level of the reverberated voice, 0 (none) to 1
+   * @returns {{input: AudioNode, output: AudioNode}}
+   */
+  function createChain(ctx, { highpass = false, compressor = false, reverb = 0 } = {}) {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    let last = input;
+    if (highpass) {
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'highpass';
+      filter.frequency.value = HIGHPASS_FREQUENCY;
+      filter.Q.value = Math.SQRT1_2;
+      last.connect(filter);
+      last = filter;
+    }
+    if (compressor) {
+      const dynamics = ctx.createDynamicsCompressor();
+      dynamics.threshold.value = -24;
+      dynamics.knee.value = 12;
+      dynamics.ratio.value = 4;
+      dynamics.attack.value = 0.005;
+      dynamics.release.value = 0.2;
+      const makeup = ctx.createGain();
+      makeup.gain.value = COMPRESSOR_MAKEUP;
+      last.connect(dynamics);
+      dynamics.connect(makeup);
+      last = makeup;
+    }
+    last.connect(output);
+    if (reverb > 0) {
+      const convolver = ctx.createConvolver();
+      convolver.buffer = createImpulse(ctx);
+      const wet = ctx.createGain();
+      wet.gain.value = reverb;
+      last.connect(convolver);
+      convolver.connect(wet);
+      wet.connect(output);
+    }
+    return { input, output };
+  }
+
+  return {
+    createChain,
+  };
+})();
@@ -0,0 +1,162 @@
+/*
+ * zip.js – CRALK PWA
+ *
+ * Minimal ZIP archive writer used to download several recordings at once.
+ * iOS Safari only honours one download per user gesture, so bundling the
+ * files is the only reliable way to export a whole gallery.
+ *
+ * Files are stored without compression (videos are already compressed).
+ * The archive is assembled as a Blob that references the source Blobs, so
+ * recordings are never copied into one large buffer: each file is read in
+ * slices only to compute its CRC-32. Everything happens on the device.
+ */
+
+const CralkZip = (function () {
+  // Read files in 4 MB slices when computing checksums
+  const SLICE_SIZE = 4 * 1024 * 1024;
+  const MAX_ZIP32 = 0xffffffff;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * Continue a CRC-32 computation over `bytes`.
+   * @param {number} crc running value (start with 0)
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function crc32(crc, bytes) {
+    let c = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+      c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+  }
+
+  /**
+   * CRC-32 of a Blob, read slice by slice.
+   * @param {Blob} blob
+   * @returns {Promise<number>}
+   */
+  async function crc32OfBlob(blob) {
+    let crc = 0;
+    for (let offset = 0; offset < blob.size; offset += SLICE_SIZE) {
+      const slice = blob.slice(offset, Math.min(blob.size, offset + SLICE_SIZE));
+      crc = crc32(crc, new Uint8Array(await slice.arrayBuffer()));
+    }
+    return crc;
+  }
+
+  /**
+   * Encode a date in MS-DOS format.
+   * @param {Date} date
+   * @returns {{time: number, date: number}}
+   */
+  function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  /**
+   * Build a little-endian header from [size, value] pairs.
+   * @param {Array<[number, number]>} fields size is 2 or 4 bytes
+   * @returns {Uint8Array}
+   */
+  function header(fields) {
+    const length = fields.reduce((sum, [size]) => sum + size, 0);
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    fields.forEach(([size, value]) => {
+      if (size === 2) view.setUint16(offset, value, true);
+      else view.setUint32(offset, value, true);
+      offset += size;
+    });
+    return bytes;
+  }
+
+  /**
+   * Create a ZIP archive.
+   * @param {{name: string, data: (Blob|string), date?: Date}[]} entries
+   * @param {{onProgress?: (fraction: number) => void}} [options]
+   * @returns {Promise<Blob>}
+   */
+  async function createZip(entries, options = {}) {
+    if (entries.length > 0xffff) {
+      throw new Error('Trop de fichiers pour une archive ZIP');
+    }
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const data = entry.data instanceof Blob ? entry.data : new Blob([encoder.encode(entry.data)]);
+      const name = encoder.encode(entry.name);
+      const { time, date } = dosDateTime(entry.date || new Date());
+      const crc = await crc32OfBlob(data);
+      if (data.size > MAX_ZIP32 || offset > MAX_ZIP32) {
+        throw new Error('Archive trop volumineuse (plus de 4 Go)');
+      }
+      // General purpose flag 0x0800: file names are UTF-8
+      const common = [
+        [2, 20], // version needed to extract
+        [2, 0x0800],
+        [2, 0], // stored
+        [2, time],
+        [2, date],
+        [4, crc],
+        [4, data.size],
+        [4, data.size],
+        [2, name.length],
+      ];
+      parts.push(header([[4, 0x04034b50]].concat(common, [[2, 0]])), name, data);
+      central.push(
+        header([[4, 0x02014b50], [2, 20]].concat(common, [
+          [2, 0], // extra field length
+          [2, 0], // comment length
+          [2, 0], // disk number
+          [2, 0], // internal attributes
+          [4, 0], // external attributes
+          [4, offset],
+        ])),
+        name
+      );
+      offset += 30 + name.length + data.size;
+      if (options.onProgress) options.onProgress((i + 1) / entries.length);
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    if (offset + centralSize > MAX_ZIP32) {
+      throw new Error('Archive trop volumineuse (plus de 4 Go)');
+    }
+    const end = header([
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, entries.length],
+      [2, entries.length],
+      [4, centralSize],
+      [4, offset],
+      [2, 0],
+    ]);
+    return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
+  }
+
+  return {
+    createZip,
+  };
+})();